@@ -1,5 +1,10 @@
+const { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } = require('crypto');
 const { EventEmitter } = require('events');
-const { ReadStream } = require('fs');
+const { ReadStream, createReadStream, promises: fsPromises } = require('fs');
+const { STATUS_CODES: STATUS_PHRASES } = require('http');
+const { basename, extname, resolve: resolvePath, sep } = require('path');
+const { Readable, Transform } = require('stream');
+const { promisify, types: utilTypes } = require('util');
 const Zlib = require('zlib');
 
 // Constants for configuration
@@ -7,6 +12,131 @@ const DEFAULT_STREAM_TIMEOUT = 30000; // 30 seconds
 const DEFAULT_MAX_STREAM_SIZE = 50 * 1024 * 1024; // 50MB
 const MIN_BASE64_LENGTH = 4;
 const BASE64_CHUNK_SIZE = 4;
+const DEFAULT_XML_ROOT = 'response';
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+const PROBLEM_MEMBERS = ['type', 'title', 'status', 'detail', 'instance'];
+const DEFAULT_COMPRESSION_THRESHOLD = 1024; // 1KB
+const MAX_BYTE_RANGES = 16;
+const DEFAULT_SSE_HEARTBEAT = 15000; // 15 seconds
+const VALIDATION_FAILURE_MODES = ['throw', 'warn', 'convert'];
+const CLONE_TAG = '__rapidResponderType';
+const RPC_TAG = '__rapidResponderRpc';
+const HTTP_TOKEN_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const COOKIE_SAME_SITE = ['Strict', 'Lax', 'None'];
+const NONCE_TYPES = ['text/html', 'image/svg+xml'];
+const DEFAULT_RATE_LIMIT_WINDOW = 60000; // 1 minute
+const RETRYABLE_STATUSES = [429, 503];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const REDIRECT_PLACEHOLDER_ORIGIN = 'http://redirect.invalid';
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.ics': 'text/calendar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/x-rar-compressed',
+  '.bz2': 'application/x-bzip2',
+  '.wasm': 'application/wasm',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.epub': 'application/epub+zip',
+};
+const CORS_DEFAULTS = {
+  origin: '*',
+  methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'],
+  allowedHeaders: undefined,
+  exposedHeaders: [],
+  credentials: false,
+  maxAge: undefined,
+};
+
+/**
+ * Defaults of the security headers preset; every entry can be overridden or disabled with false
+ * @type {Object}
+ */
+const SECURITY_HEADER_DEFAULTS = {
+  contentSecurityPolicy: {
+    directives: {
+      'default-src': ["'self'"],
+      'base-uri': ["'self'"],
+      'object-src': ["'none'"],
+      'frame-ancestors': ["'self'"],
+      'form-action': ["'self'"],
+      'script-src': ["'self'"],
+      'style-src': ["'self'"],
+      'upgrade-insecure-requests': [],
+    },
+    nonce: true,
+    reportOnly: false,
+  },
+  strictTransportSecurity: { maxAge: 15552000, includeSubDomains: true, preload: false },
+  noSniff: true,
+  referrerPolicy: 'no-referrer',
+  crossOriginOpenerPolicy: 'same-origin',
+  crossOriginResourcePolicy: 'same-origin',
+  crossOriginEmbedderPolicy: false,
+  permissionsPolicy: { camera: [], microphone: [], geolocation: [] },
+};
+
+/**
+ * Supported content encodings in server preference order
+ * @type {Object<string, {compress: function, createStream: function, options: function}>}
+ */
+const CONTENT_ENCODINGS = {
+  br: {
+    compress: promisify(Zlib.brotliCompress),
+    createStream: options => Zlib.createBrotliCompress(options),
+    options: level =>
+      level === undefined ? {} : { params: { [Zlib.constants.BROTLI_PARAM_QUALITY]: level } },
+  },
+  gzip: {
+    compress: promisify(Zlib.gzip),
+    createStream: options => Zlib.createGzip(options),
+    options: level => (level === undefined ? {} : { level }),
+  },
+  deflate: {
+    compress: promisify(Zlib.deflate),
+    createStream: options => Zlib.createDeflate(options),
+    options: level => (level === undefined ? {} : { level }),
+  },
+};
 
 /**
  * Enum for supported communication protocols
@@ -19,27 +149,154 @@ const PROTOCOLS = Object.freeze({
 });
 
 /**
- * Enum for standard status codes
+ * Formatters of protocols registered through `registerProtocol`, keyed by protocol name
+ * @type {Map<string, function(Object, ResponseBuilder): Object>}
+ */
+const customProtocols = new Map();
+
+/**
+ * List every supported protocol, built-in ones first
+ * @returns {string[]} Protocol names
+ */
+function listProtocols() {
+  return [...Object.values(PROTOCOLS), ...customProtocols.keys()];
+}
+
+/**
+ * Enum for the status codes of the IANA HTTP status code registry
  * @enum {number}
  */
 const STATUS_CODES = Object.freeze({
+  continue: 100,
+  switchingProtocols: 101,
+  processing: 102,
+  earlyHints: 103,
   ok: 200,
   created: 201,
   accepted: 202,
+  nonAuthoritativeInformation: 203,
   noContent: 204,
+  resetContent: 205,
+  partialContent: 206,
+  multiStatus: 207,
+  alreadyReported: 208,
+  imUsed: 226,
+  multipleChoices: 300,
+  movedPermanently: 301,
+  found: 302,
+  seeOther: 303,
+  notModified: 304,
+  useProxy: 305,
+  temporaryRedirect: 307,
+  permanentRedirect: 308,
   badRequest: 400,
   unauthorized: 401,
+  paymentRequired: 402,
   forbidden: 403,
   notFound: 404,
   methodNotAllowed: 405,
+  notAcceptable: 406,
+  proxyAuthenticationRequired: 407,
+  requestTimeout: 408,
   conflict: 409,
-  unprocessableEntity: 422,
+  gone: 410,
+  lengthRequired: 411,
+  preconditionFailed: 412,
+  contentTooLarge: 413,
+  uriTooLong: 414,
+  unsupportedMediaType: 415,
+  rangeNotSatisfiable: 416,
+  expectationFailed: 417,
+  misdirectedRequest: 421,
+  unprocessableContent: 422,
+  unprocessableEntity: 422, // Former name of unprocessableContent
+  locked: 423,
+  failedDependency: 424,
+  tooEarly: 425,
+  upgradeRequired: 426,
+  preconditionRequired: 428,
   tooManyRequests: 429,
+  requestHeaderFieldsTooLarge: 431,
+  unavailableForLegalReasons: 451,
   internalServerError: 500,
   notImplemented: 501,
   badGateway: 502,
   serviceUnavailable: 503,
   gatewayTimeout: 504,
+  httpVersionNotSupported: 505,
+  variantAlsoNegotiates: 506,
+  insufficientStorage: 507,
+  loopDetected: 508,
+  notExtended: 510,
+  networkAuthenticationRequired: 511,
+});
+
+/**
+ * Reason phrases of the registered status codes (RFC 9110 wording)
+ * @type {Object<number, string>}
+ */
+const STATUS_MESSAGES = Object.freeze({
+  100: 'Continue',
+  101: 'Switching Protocols',
+  102: 'Processing',
+  103: 'Early Hints',
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  203: 'Non-Authoritative Information',
+  204: 'No Content',
+  205: 'Reset Content',
+  206: 'Partial Content',
+  207: 'Multi-Status',
+  208: 'Already Reported',
+  226: 'IM Used',
+  300: 'Multiple Choices',
+  301: 'Moved Permanently',
+  302: 'Found',
+  303: 'See Other',
+  304: 'Not Modified',
+  305: 'Use Proxy',
+  307: 'Temporary Redirect',
+  308: 'Permanent Redirect',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  402: 'Payment Required',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Content Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  421: 'Misdirected Request',
+  422: 'Unprocessable Content',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+  505: 'HTTP Version Not Supported',
+  506: 'Variant Also Negotiates',
+  507: 'Insufficient Storage',
+  508: 'Loop Detected',
+  510: 'Not Extended',
+  511: 'Network Authentication Required',
 });
 
 /**
@@ -73,6 +330,186 @@ class InvalidStatusCodeError extends Error {
   }
 }
 
+class ResponseValidationError extends Error {
+  constructor(statusCode, errors) {
+    super(`Response body for status ${statusCode} failed validation: ${errors.join('; ')}`);
+    this.name = 'ResponseValidationError';
+    this.code = 'RESPONSE_VALIDATION';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+class IpcResponseError extends Error {
+  constructor(envelope) {
+    const body = envelope.body;
+    const message =
+      body && typeof body === 'object' && typeof body.message === 'string'
+        ? body.message
+        : `IPC request failed with status ${envelope.statusCode}`;
+    super(message);
+    this.name = 'IpcResponseError';
+    this.code = (body && typeof body === 'object' && body.code) || 'IPC_RESPONSE';
+    this.statusCode = envelope.statusCode;
+    this.body = body;
+    this.envelope = envelope;
+  }
+}
+
+class InvalidHeaderError extends Error {
+  constructor(name, value) {
+    super(
+      value === undefined
+        ? `Invalid header name: ${JSON.stringify(name)}`
+        : `Invalid value for header ${name}: ${JSON.stringify(value)}`
+    );
+    this.name = 'InvalidHeaderError';
+    this.code = 'INVALID_HEADER';
+    this.header = name;
+  }
+}
+
+class IpcTimeoutError extends Error {
+  constructor(method, timeout) {
+    super(`IPC request "${method}" timed out after ${timeout}ms`);
+    this.name = 'IpcTimeoutError';
+    this.code = 'IPC_TIMEOUT';
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+class UnsafeRedirectError extends Error {
+  constructor(location, reason) {
+    super(`Unsafe redirect to ${JSON.stringify(String(location))}: ${reason}`);
+    this.name = 'UnsafeRedirectError';
+    this.code = 'UNSAFE_REDIRECT';
+    this.location = location;
+  }
+}
+
+/**
+ * Error carrying the 4xx/5xx status it should be answered with.
+ * Messages of 5xx errors are replaced by the status phrase in responses unless `expose` is set.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - 4xx or 5xx status code
+   * @param {string} [message] - Error message (defaults to the status phrase)
+   * @param {Object} [options={}] - Error options
+   * @param {string} [options.code] - Machine-readable code (defaults to e.g. `NOT_FOUND`)
+   * @param {boolean} [options.expose] - Send the message to clients (defaults to true for 4xx)
+   * @param {*} [options.details] - Extra details sent with the error
+   * @param {Object} [options.headers] - Headers to set on the response
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(statusCode, message, options = {}) {
+    if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599) {
+      throw new InvalidStatusCodeError(statusCode);
+    }
+    const phrase = ResponseHelper.getStatusMessage(statusCode);
+    super(message || phrase, options.cause === undefined ? undefined : { cause: options.cause });
+    this.name = 'HttpError';
+    this.code = options.code || phrase.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    this.statusCode = statusCode;
+    this.expose = options.expose ?? statusCode < 500;
+    if (options.details !== undefined) this.details = options.details;
+    this.headers = { ...options.headers };
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, options) {
+    super(STATUS_CODES.badRequest, message, options);
+    this.name = 'BadRequestError';
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message, options = {}) {
+    super(STATUS_CODES.unauthorized, message, options);
+    this.name = 'UnauthorizedError';
+    if (options.challenge) this.headers['WWW-Authenticate'] = options.challenge;
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message, options) {
+    super(STATUS_CODES.forbidden, message, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, options) {
+    super(STATUS_CODES.notFound, message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+class MethodNotAllowedError extends HttpError {
+  constructor(message, options = {}) {
+    super(STATUS_CODES.methodNotAllowed, message, options);
+    this.name = 'MethodNotAllowedError';
+    if (options.allow) this.headers.Allow = [].concat(options.allow).join(', ');
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, options) {
+    super(STATUS_CODES.conflict, message, options);
+    this.name = 'ConflictError';
+  }
+}
+
+class ValidationError extends HttpError {
+  /**
+   * @param {string} [message='Validation failed'] - Error message
+   * @param {Array<{field: string, message: string}>|Object<string, string|string[]>} [errors]
+   *   Field errors, as a list or as messages keyed by field
+   * @param {Object} [options] - Options of `HttpError`
+   */
+  constructor(message, errors = [], options) {
+    super(STATUS_CODES.unprocessableEntity, message || 'Validation failed', options);
+    this.name = 'ValidationError';
+    this.code = (options && options.code) || 'VALIDATION_FAILED';
+    this.errors = Array.isArray(errors)
+      ? errors
+      : Object.entries(errors).flatMap(([field, messages]) =>
+          [].concat(messages).map(fieldMessage => ({ field, message: fieldMessage }))
+        );
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, options = {}) {
+    super(STATUS_CODES.tooManyRequests, message, options);
+    this.name = 'TooManyRequestsError';
+    if (options.retryAfter !== undefined) {
+      this.retryAfter = options.retryAfter;
+      this.headers['Retry-After'] = ResponseHelper.formatRetryAfter(options.retryAfter);
+    }
+  }
+}
+
+class InternalServerError extends HttpError {
+  constructor(message, options) {
+    super(STATUS_CODES.internalServerError, message, options);
+    this.name = 'InternalServerError';
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message, options = {}) {
+    super(STATUS_CODES.serviceUnavailable, message, options);
+    this.name = 'ServiceUnavailableError';
+    if (options.retryAfter !== undefined) {
+      this.retryAfter = options.retryAfter;
+      this.headers['Retry-After'] = ResponseHelper.formatRetryAfter(options.retryAfter);
+    }
+  }
+}
+
 /**
  * Utility class for stream and response handling
  * @exports ResponseHelper
@@ -404,195 +841,3124 @@ class ResponseHelper {
   static isValidStatusCode(code) {
     return typeof code === 'number' && Number.isInteger(code) && code >= 100 && code <= 599;
   }
-}
 
-/**
- * Enhanced Adaptive Response Handler for multiple communication protocols
- */
-class ResponseBuilder {
   /**
-   * Constructor with enhanced validation and configuration
-   * @param {Object} [options={}] - Configuration options
-   * @param {string} [options.protocol] - Communication protocol
-   * @param {Object} [options.headers] - Default headers
-   * @param {number} [options.streamTimeout] - Stream processing timeout
-   * @param {number} [options.maxStreamSize] - Maximum stream size
-   * @param {function} [options.errorHandler] - Custom error handler
-   * @param {string} [options.contentType] - Content type override
+   * Serialize a processed body into a payload that can be written to a transport
+   * @param {*} body - Processed response body
+   * @returns {Buffer|string|Stream} Buffer or string payload, streams are returned untouched
    */
-  constructor(options = {}) {
-    // Validate protocol
-    if (options.protocol && !Object.values(PROTOCOLS).includes(options.protocol)) {
-      throw new Error(
-        `Invalid protocol: ${options.protocol}. Must be one of: ${Object.values(PROTOCOLS).join(', ')}`
-      );
-    }
+  static serializeBody(body) {
+    if (body == null) return '';
+    if (Buffer.isBuffer(body) || typeof body === 'string') return body;
+    if (typeof body.pipe === 'function') return body;
+    return JSON.stringify(body);
+  }
 
-    this.protocol = options.protocol || PROTOCOLS.HTTP;
-    this.statusCode = STATUS_CODES.ok;
-    this.headers = { ...options.headers } || {};
-    this.streamTimeout = options.streamTimeout || DEFAULT_STREAM_TIMEOUT;
-    this.maxStreamSize = options.maxStreamSize || DEFAULT_MAX_STREAM_SIZE;
-    this.customErrorHandler = options.errorHandler;
-    this.contentTypeOverride = options.contentType;
+  /**
+   * Whether a response with the given status must not carry a body
+   * @param {number} code - Status code
+   * @returns {boolean} True for 1xx, 204 and 304 responses
+   */
+  static isBodylessStatus(code) {
+    return (code >= 100 && code < 200) || code === 204 || code === 304;
+  }
 
-    // Validate configuration
-    if (this.streamTimeout <= 0) {
-      throw new Error('Stream timeout must be a positive number');
-    }
-    if (this.maxStreamSize <= 0) {
-      throw new Error('Max stream size must be a positive number');
-    }
+  /**
+   * Reason phrase of a status code
+   * @param {number} code - Status code
+   * @returns {string} Registered phrase, Node's phrase for unregistered codes, or `Unknown Error`
+   */
+  static getStatusMessage(code) {
+    return STATUS_MESSAGES[code] || STATUS_PHRASES[code] || 'Unknown Error';
   }
 
   /**
-   * Set response status code with validation
+   * Whether a status code is informational (1xx)
    * @param {number} code - Status code
-   * @returns {ResponseBuilder} Current instance
-   * @throws {InvalidStatusCodeError} When status code is invalid
+   * @returns {boolean} True for 100-199
    */
-  status(code) {
-    if (!ResponseHelper.isValidStatusCode(code)) {
-      throw new InvalidStatusCodeError(code);
-    }
-    this.statusCode = code;
-    return this;
+  static isInformational(code) {
+    return Number.isInteger(code) && code >= 100 && code < 200;
   }
 
   /**
-   * Set response headers
-   * @param {Object} headers - Headers to set
-   * @returns {ResponseBuilder} Current instance
+   * Whether a status code is successful (2xx)
+   * @param {number} code - Status code
+   * @returns {boolean} True for 200-299
    */
-  headers(headers) {
-    if (headers && typeof headers === 'object') {
-      this.headers = { ...this.headers, ...headers };
-    }
-    return this;
+  static isSuccess(code) {
+    return Number.isInteger(code) && code >= 200 && code < 300;
   }
 
   /**
-   * Set individual header
-   * @param {string} name - Header name
-   * @param {string} value - Header value
-   * @returns {ResponseBuilder} Current instance
+   * Whether a status code is a redirection (3xx)
+   * @param {number} code - Status code
+   * @returns {boolean} True for 300-399
    */
-  header(name, value) {
-    if (typeof name === 'string' && value !== undefined) {
-      this.headers[name] = String(value);
-    }
-    return this;
+  static isRedirect(code) {
+    return Number.isInteger(code) && code >= 300 && code < 400;
   }
 
   /**
-   * Enhanced body processing with consistent return types
-   * @param {*} body - The response body to process
-   * @returns {Promise<Object>} Always returns a promise for consistency
+   * Whether a status code is a client error (4xx)
+   * @param {number} code - Status code
+   * @returns {boolean} True for 400-499
    */
-  async #processBody(body) {
-    // Check if the body is a stream
-    if (body && typeof body.pipe === 'function') {
-      return await this.#handleStreamResponse(body);
-    }
+  static isClientError(code) {
+    return Number.isInteger(code) && code >= 400 && code < 500;
+  }
 
-    // Process non-stream responses
-    return this.#handleNonStreamResponse(body);
+  /**
+   * Whether a status code is a server error (5xx)
+   * @param {number} code - Status code
+   * @returns {boolean} True for 500-599
+   */
+  static isServerError(code) {
+    return Number.isInteger(code) && code >= 500 && code < 600;
   }
 
   /**
-   * Enhanced stream handling with better error management and cleanup
-   * @param {Stream} stream - Input stream
-   * @returns {Promise<Object>} Processed stream response
+   * Encode a value so Buffers, Dates, Maps, Sets and Errors survive structured clone and JSON
+   * @param {*} value - Value to encode
+   * @param {Object} [options={}] - Encoding options
+   * @param {ArrayBuffer[]} [options.transferList] - When given, Buffers are kept binary and their
+   *   memory is collected here for a zero-copy `postMessage` (the originals become detached)
+   * @param {WeakSet} [seen] - Objects on the current path, used to reject circular structures
+   * @returns {*} Clone-safe representation, reversed by `decodeCloneSafe`
    */
-  #handleStreamResponse(stream) {
-    return new Promise((resolve, reject) => {
-      const payload = { chunks: [], totalBytes: 0 };
-      let isSettled = false;
+  static encodeCloneSafe(value, options = {}, seen = new WeakSet()) {
+    if (value == null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) {
+      const { transferList } = options;
+      if (!transferList) return { [CLONE_TAG]: 'Buffer', value: value.toString('base64') };
 
-      // Enhanced timeout handling
-      const timeoutHandler = setTimeout(() => {
-        if (isSettled) return;
-        isSettled = true;
+      // Pooled or sliced Buffers share their memory, so only their own bytes are copied out
+      const owned =
+        value.buffer instanceof ArrayBuffer &&
+        value.byteOffset === 0 &&
+        value.byteLength === value.buffer.byteLength;
+      const bytes = owned ? new Uint8Array(value.buffer) : new Uint8Array(value);
+      if (!transferList.includes(bytes.buffer)) transferList.push(bytes.buffer);
+      return { [CLONE_TAG]: 'Buffer', value: bytes };
+    }
+    if (value instanceof Date) return { [CLONE_TAG]: 'Date', value: value.getTime() };
+    if (seen.has(value)) {
+      throw new TypeError('Cannot encode circular structure for IPC transport');
+    }
 
-        this.#cleanupStreamListeners(stream, { errorHandler, dataHandler, endHandler });
-        ResponseHelper.destroyStream(stream, true);
-        reject(new StreamTimeoutError(this.streamTimeout));
-      }, this.streamTimeout);
+    seen.add(value);
+    let encoded;
+    if (value instanceof Map) {
+      encoded = {
+        [CLONE_TAG]: 'Map',
+        value: Array.from(value, ([key, entry]) => [
+          this.encodeCloneSafe(key, options, seen),
+          this.encodeCloneSafe(entry, options, seen),
+        ]),
+      };
+    } else if (value instanceof Set) {
+      encoded = {
+        [CLONE_TAG]: 'Set',
+        value: Array.from(value, entry => this.encodeCloneSafe(entry, options, seen)),
+      };
+    } else if (value instanceof Error) {
+      encoded = {
+        [CLONE_TAG]: 'Error',
+        value: this.encodeCloneSafe(this.prepareBodyMetadata(value).body, options, seen),
+      };
+    } else if (Array.isArray(value)) {
+      encoded = value.map(entry => this.encodeCloneSafe(entry, options, seen));
+    } else {
+      const members = Object.keys(value).reduce((acc, key) => {
+        acc[key] = this.encodeCloneSafe(value[key], options, seen);
+        return acc;
+      }, {});
+      // Escape objects that already use the tag so they are not mistaken for encoded values
+      encoded = Object.prototype.hasOwnProperty.call(value, CLONE_TAG)
+        ? { [CLONE_TAG]: 'Object', value: members }
+        : members;
+    }
+    seen.delete(value);
+    return encoded;
+  }
 
-      const errorHandler = error => {
-        if (isSettled) return;
-        isSettled = true;
+  /**
+   * Reverse `encodeCloneSafe`
+   * @param {*} value - Encoded value
+   * @returns {*} Value with Buffers, Dates, Maps, Sets and Errors restored
+   */
+  static decodeCloneSafe(value) {
+    if (value == null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(entry => this.decodeCloneSafe(entry));
 
-        clearTimeout(timeoutHandler);
-        this.#cleanupStreamListeners(stream, { dataHandler, endHandler });
-        ResponseHelper.destroyStream(stream, true);
+    // Tag check instead of prototype identity: cloned objects may come from another realm
+    if (Object.prototype.toString.call(value) !== '[object Object]') return value;
 
-        // Handle custom error processing
-        if (typeof this.customErrorHandler === 'function') {
-          try {
-            const customError = this.customErrorHandler(error);
-            if (customError) {
-              reject(customError);
-              return;
-            }
-          } catch (customHandlerError) {
-            reject(customHandlerError);
-            return;
-          }
-        }
+    const decodeMembers = members =>
+      Object.keys(members).reduce((acc, key) => {
+        acc[key] = this.decodeCloneSafe(members[key]);
+        return acc;
+      }, {});
+    const decoders = {
+      Buffer: encoded =>
+        typeof encoded === 'string'
+          ? Buffer.from(encoded, 'base64')
+          : Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength),
+      Date: encoded => new Date(encoded),
+      Map: encoded =>
+        new Map(
+          encoded.map(([key, entry]) => [this.decodeCloneSafe(key), this.decodeCloneSafe(entry)])
+        ),
+      Set: encoded => new Set(encoded.map(entry => this.decodeCloneSafe(entry))),
+      Error: encoded => {
+        const { name, message, stack, ...extra } = this.decodeCloneSafe(encoded);
+        const error = Object.assign(new Error(message), extra);
+        error.name = name;
+        if (stack) error.stack = stack;
+        return error;
+      },
+      Object: decodeMembers,
+    };
 
-        // Set appropriate status code based on error
-        if (error.code === 'ENOENT') {
-          this.status(STATUS_CODES.notFound);
-        } else if (error.code === 'EACCES') {
-          this.status(STATUS_CODES.forbidden);
-        } else {
-          this.status(STATUS_CODES.internalServerError);
-        }
+    const tag = value[CLONE_TAG];
+    if (typeof tag === 'string' && Object.prototype.hasOwnProperty.call(decoders, tag)) {
+      return decoders[tag](value.value);
+    }
+    return decodeMembers(value);
+  }
 
-        // Always reject with proper Error instance
-        const finalError = error instanceof Error ? error : new Error('Stream error');
-        if (!(error instanceof Error)) {
-          finalError.original = error;
-        }
-        reject(finalError);
-      };
+  /**
+   * Pack a JSON header and a binary payload into a single socket frame:
+   * a 4-byte big-endian header length, the UTF-8 JSON header, then the payload bytes
+   * @param {Object} header - JSON-serializable frame header
+   * @param {Buffer} payload - Binary payload
+   * @returns {Buffer} Encoded frame
+   */
+  static encodeSocketFrame(header, payload) {
+    const headerBytes = Buffer.from(JSON.stringify(header));
+    const prefix = Buffer.alloc(4);
+    prefix.writeUInt32BE(headerBytes.length);
+    return Buffer.concat([prefix, headerBytes, payload]);
+  }
 
-      const dataHandler = chunk => {
-        if (isSettled) return;
+  /**
+   * Unpack a frame produced by `encodeSocketFrame`
+   * @param {Buffer} frame - Encoded frame
+   * @returns {{header: Object, payload: Buffer}} Frame header and payload
+   * @throws {TypeError} When the frame is truncated or the header is not valid JSON
+   */
+  static decodeSocketFrame(frame) {
+    if (!Buffer.isBuffer(frame) || frame.length < 4) {
+      throw new TypeError('Invalid socket frame: missing header length');
+    }
+    const headerEnd = 4 + frame.readUInt32BE(0);
+    if (headerEnd > frame.length) {
+      throw new TypeError('Invalid socket frame: truncated header');
+    }
+    try {
+      return {
+        header: JSON.parse(frame.subarray(4, headerEnd).toString()),
+        payload: frame.subarray(headerEnd),
+      };
+    } catch (err) {
+      throw new TypeError(`Invalid socket frame: ${err.message}`);
+    }
+  }
 
-        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
-        payload.totalBytes += buffer.length;
+  /**
+   * Build the paginated body and navigation links for a list of items. Page-based pagination
+   * is used unless a `cursor` is given.
+   * @param {Array} items - Items of the current page
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.page=1] - Current page (1-based)
+   * @param {number} [options.perPage] - Page size (defaults to the number of items; without
+   *   `perPage` or `total` no `next` link is emitted since the end of the list is unknown)
+   * @param {number} [options.total] - Total number of items, enables the `last` link
+   * @param {string|{next: string, prev: string}} [options.cursor] - Cursors of the adjacent
+   *   pages; a string is the `next` cursor
+   * @param {string} [options.baseUrl] - URL the links are built from; query strings are kept
+   * @param {string} [options.pageParam='page'] - Query parameter for the page
+   * @param {string} [options.perPageParam='per_page'] - Query parameter for the page size
+   * @param {string} [options.cursorParam='cursor'] - Query parameter for the cursor
+   * @returns {{body: Object, links: Object<string, string>, total: (number|undefined)}}
+   *   `{ items, pagination }` body, links keyed by relation and the total count
+   */
+  static paginate(items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new TypeError('Paginated items must be an array');
+    }
+    const {
+      page = 1,
+      perPage = Math.max(items.length, 1),
+      total,
+      cursor,
+      baseUrl,
+      pageParam = 'page',
+      perPageParam = 'per_page',
+      cursorParam = 'cursor',
+    } = options;
 
-        // Check size limit
-        if (payload.totalBytes > this.maxStreamSize) {
-          isSettled = true;
-          clearTimeout(timeoutHandler);
-          this.#cleanupStreamListeners(stream, { errorHandler, endHandler });
-          ResponseHelper.destroyStream(stream, true);
+    [
+      ['page', page],
+      ['perPage', perPage],
+    ].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid ${name}: ${value}. Must be a positive integer`);
+      }
+    });
+    if (total !== undefined && (!Number.isInteger(total) || total < 0)) {
+      throw new Error(`Invalid total: ${total}. Must be a non-negative integer`);
+    }
 
-          const sizeError = new StreamSizeLimitError(this.maxStreamSize, payload.totalBytes);
-          setImmediate(() => reject(sizeError));
-          return;
-        }
+    const buildUrl = params => {
+      if (baseUrl === undefined) return undefined;
+      const absolute = /^[a-z][a-z\d+.-]*:/i.test(baseUrl);
+      const url = new URL(baseUrl, 'http://localhost');
+      Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined) url.searchParams.delete(key);
+        else url.searchParams.set(key, String(value));
+      });
+      return absolute ? url.href : `${url.pathname}${url.search}${url.hash}`;
+    };
 
-        payload.chunks.push(buffer);
+    let pagination;
+    let targets;
+    if (cursor !== undefined) {
+      const { next, prev } = typeof cursor === 'string' ? { next: cursor } : cursor || {};
+      pagination = {
+        perPage,
+        ...(total !== undefined && { total }),
+        nextCursor: next ?? null,
+        prevCursor: prev ?? null,
+      };
+      targets = {
+        first: { [cursorParam]: undefined },
+        ...(prev != null && { prev: { [cursorParam]: prev } }),
+        ...(next != null && { next: { [cursorParam]: next } }),
+      };
+      Object.values(targets).forEach(params => {
+        params[perPageParam] = perPage;
+      });
+    } else {
+      const totalPages = total === undefined ? undefined : Math.ceil(total / perPage);
+      const hasNext =
+        totalPages === undefined
+          ? options.perPage !== undefined && items.length >= perPage
+          : page < totalPages;
+      pagination = {
+        page,
+        perPage,
+        ...(total !== undefined && { total, totalPages }),
+      };
+      const pageTarget = number => ({ [pageParam]: number, [perPageParam]: perPage });
+      targets = {
+        first: pageTarget(1),
+        ...(page > 1 && { prev: pageTarget(page - 1) }),
+        ...(hasNext && { next: pageTarget(page + 1) }),
+        ...(totalPages !== undefined && { last: pageTarget(Math.max(totalPages, 1)) }),
       };
+    }
 
-      const endHandler = () => {
-        if (isSettled) return;
-        isSettled = true;
+    const links =
+      baseUrl === undefined
+        ? {}
+        : Object.fromEntries(
+            Object.entries(targets).map(([rel, params]) => [rel, buildUrl(params)])
+          );
+    return { body: { items, pagination }, links, total };
+  }
 
-        clearTimeout(timeoutHandler);
-        this.#cleanupStreamListeners(stream, { errorHandler, dataHandler });
+  /**
+   * Format links as an RFC 8288 `Link` header value
+   * @param {Object<string, string>} links - URLs keyed by relation type
+   * @returns {string} Header value, empty when there are no links
+   */
+  static formatLinkHeader(links) {
+    return Object.entries(links)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(', ');
+  }
 
-        // Cleanup stream resources
-        try {
-          ResponseHelper.destroyStream(stream, true);
-        } catch (err) {
-          // eslint-disable-next-line no-console
-          console.warn('Error during stream cleanup:', err.message);
-        }
+  /**
+   * Build an RFC 9457 problem details document
+   * @param {*} source - Error, string detail or object with problem members / extensions.
+   *   Errors contribute only their `code`, `details`, field `errors` and `extensions` object,
+   *   so other properties (connection strings, queries...) are never sent.
+   * @param {number} status - Response status code
+   * @param {Object} [options={}] - Problem options
+   * @param {boolean} [options.expose=true] - Use the message of Error sources as `detail`
+   * @param {boolean} [options.includeStack=false] - Include the stack of Error sources
+   * @param {string} [options.instance] - Default `instance` member
+   * @returns {Object} Problem details document
+   */
+  static createProblemDetails(source, status, options = {}) {
+    const problem = {
+      type: 'about:blank',
+      title: ResponseHelper.getStatusMessage(status),
+      status,
+    };
+    let extensions = {};
+
+    if (source instanceof Error) {
+      if (options.expose !== false) problem.detail = source.message;
+      if (source.extensions && typeof source.extensions === 'object') {
+        extensions = { ...source.extensions };
+      }
+      if (source.code !== undefined) extensions.code = source.code;
+      if (source.details !== undefined) extensions.details = source.details;
+      if (Array.isArray(source.errors)) extensions.errors = source.errors;
+      if (options.includeStack && source.stack) {
+        extensions.stack = source.stack;
+      }
+    } else if (typeof source === 'string') {
+      if (source) problem.detail = source;
+    } else if (source && typeof source === 'object' && !Array.isArray(source)) {
+      const { type, title, detail, instance, message, ...rest } = source;
+      if (typeof type === 'string') problem.type = type;
+      if (typeof title === 'string') problem.title = title;
+      if (detail !== undefined) problem.detail = String(detail);
+      else if (message !== undefined) problem.detail = String(message);
+      if (instance !== undefined) problem.instance = String(instance);
+      extensions = rest;
+    } else if (source != null) {
+      problem.detail = String(source);
+    }
+
+    if (problem.instance === undefined && options.instance) {
+      problem.instance = options.instance;
+    }
+
+    // Extension members never override the standard members
+    Object.entries(extensions).forEach(([key, value]) => {
+      if (!PROBLEM_MEMBERS.includes(key) && value !== undefined) {
+        problem[key] = value;
+      }
+    });
+
+    return problem;
+  }
+
+  /**
+   * Split an error response body into a message, an optional code and the remaining details.
+   * Stacks are never included.
+   * @param {*} body - Processed error body (Errors are already plain objects)
+   * @param {number} status - Response status code
+   * @returns {{message: string, code: (*|undefined), details: (*|undefined)}} Error members
+   */
+  static describeErrorBody(body, status) {
+    const fallback = ResponseHelper.getStatusMessage(status);
+    if (typeof body === 'string') return { message: body || fallback };
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return { message: fallback, details: body ?? undefined };
+    }
+
+    const { name: _name, message, stack: _stack, code, ...rest } = body;
+    if (typeof message !== 'string') return { message: fallback, code, details: body };
+    return { message, code, details: Object.keys(rest).length ? rest : undefined };
+  }
+
+  /**
+   * Build the body sent for a mapped error: name, message, code, and the `details` and
+   * field `errors` of HttpErrors. Other properties are left out so internals don't leak.
+   * @param {Error} error - Error to describe
+   * @param {Object} mapping - Resolved mapping
+   * @param {number} mapping.statusCode - Response status code
+   * @param {boolean} mapping.expose - Whether the message may be sent; the status phrase otherwise
+   * @param {boolean} [includeStack=false] - Include the stack
+   * @returns {Object} Error body
+   */
+  static describeError(error, { statusCode, expose }, includeStack = false) {
+    const body = {
+      name: error.name,
+      message: expose ? error.message : ResponseHelper.getStatusMessage(statusCode),
+    };
+    if (error.code !== undefined) body.code = error.code;
+    if (error.details !== undefined) body.details = error.details;
+    if (Array.isArray(error.errors)) body.errors = error.errors;
+    if (includeStack && error.stack) body.stack = error.stack;
+    return body;
+  }
+
+  /**
+   * Validate a value against a JSON Schema (supports the commonly used draft 2020-12 keywords:
+   * type, enum, const, properties, required, additionalProperties, items, min/max constraints,
+   * pattern, allOf, anyOf, oneOf and not)
+   * @param {*} value - Value to validate
+   * @param {Object|boolean} schema - JSON Schema
+   * @param {string} [path='$'] - Path of the value, used in error messages
+   * @returns {string[]} Validation errors, empty when the value is valid
+   */
+  static validateSchema(value, schema, path = '$') {
+    if (schema === true || schema === undefined || schema === null) return [];
+    if (schema === false) return [`${path} is not allowed`];
+
+    const errors = [];
+    const typeOf = node => {
+      if (node === null) return 'null';
+      if (Array.isArray(node)) return 'array';
+      return typeof node;
+    };
+    const matchesType = (node, type) => {
+      if (type === 'integer') return Number.isInteger(node);
+      if (type === 'number') return typeof node === 'number' && Number.isFinite(node);
+      return typeOf(node) === type;
+    };
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return errors;
+      }
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    if (schema.const !== undefined && !same(value, schema.const)) {
+      errors.push(`${path} must be equal to ${JSON.stringify(schema.const)}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => same(value, option))) {
+      errors.push(`${path} must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must have at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${path} must match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+      }
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (child === undefined) return;
+        if (properties[key] !== undefined) {
+          errors.push(...this.validateSchema(child, properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validateSchema(child, schema.additionalProperties, `${path}.${key}`));
+        }
+      });
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach(sub => errors.push(...this.validateSchema(value, sub, path)));
+    }
+    if (Array.isArray(schema.anyOf)) {
+      if (!schema.anyOf.some(sub => !this.validateSchema(value, sub, path).length)) {
+        errors.push(`${path} must match at least one schema in anyOf`);
+      }
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const matches = schema.oneOf.filter(sub => !this.validateSchema(value, sub, path).length);
+      if (matches.length !== 1) {
+        errors.push(`${path} must match exactly one schema in oneOf`);
+      }
+    }
+    if (schema.not !== undefined && !this.validateSchema(value, schema.not, path).length) {
+      errors.push(`${path} must not match the schema in not`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a validator function or JSON Schema against a value
+   * @param {*} value - Value to validate
+   * @param {Object|function(*): *} validator - JSON Schema, or a function returning `true` /
+   *   nothing when valid and `false`, a message or a list of messages otherwise. Compiled
+   *   validators exposing an `errors` list (e.g. Ajv) are supported.
+   * @returns {string[]} Validation errors, empty when the value is valid
+   */
+  static runValidator(value, validator) {
+    if (typeof validator !== 'function') {
+      return this.validateSchema(value, validator);
+    }
+
+    let result;
+    try {
+      result = validator(value);
+    } catch (error) {
+      return [error && error.message ? error.message : String(error)];
+    }
+
+    if (result === true || result === undefined || result === null) return [];
+    if (Array.isArray(result)) return result.map(String);
+    if (typeof result === 'string') return [result];
+    if (result === false && Array.isArray(validator.errors) && validator.errors.length) {
+      return validator.errors.map(error =>
+        typeof error === 'string'
+          ? error
+          : `${error.instancePath || error.dataPath || '$'} ${error.message}`.trim()
+      );
+    }
+    return ['Response body is invalid'];
+  }
+
+  /**
+   * Normalize request headers into a plain object with lower-cased names
+   * @param {Object} [request] - Request object (Node, Express, Koa), Fetch `Headers` or a headers object
+   * @returns {Object} Lower-cased header map
+   */
+  static normalizeRequestHeaders(request) {
+    if (!request || typeof request !== 'object') return {};
+
+    const source =
+      request.headers && typeof request.headers === 'object' ? request.headers : request;
+    const normalized = {};
+
+    // Fetch API Headers
+    if (typeof source.forEach === 'function' && typeof source.get === 'function') {
+      source.forEach((value, name) => {
+        normalized[name.toLowerCase()] = value;
+      });
+      return normalized;
+    }
+
+    Object.entries(source).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Parse an `Accept` header into media ranges ordered by preference
+   * @param {string} header - Accept header value
+   * @returns {Array<{type: string, subtype: string, q: number, index: number}>} Media ranges
+   */
+  static parseAccept(header) {
+    if (typeof header !== 'string' || !header.trim()) return [];
+
+    return header
+      .split(',')
+      .map((part, index) => {
+        const [range, ...params] = part.trim().split(';');
+        const [type, subtype] = range.trim().toLowerCase().split('/');
+        if (!type || !subtype) return null;
+
+        let q = 1;
+        params.forEach(param => {
+          const [key, value] = param.trim().split('=');
+          if (key && key.toLowerCase() === 'q') {
+            const parsed = Number(value);
+            q = Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 1) : 0;
+          }
+        });
+
+        return { type, subtype, q, index };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.q - a.q || a.index - b.index);
+  }
+
+  /**
+   * Pick the best media type for the given `Accept` header
+   * @param {string} header - Accept header value
+   * @param {string[]} available - Media types the server can produce, in server preference order
+   * @returns {string|null} Selected media type, or null when nothing is acceptable
+   */
+  static negotiateType(header, available) {
+    const ranges = this.parseAccept(header);
+    if (!ranges.length) return available[0] || null;
+
+    let best = null;
+    available.forEach((mediaType, order) => {
+      const [type, subtype] = mediaType.toLowerCase().split('/');
+
+      // The most specific matching range decides the quality of a media type
+      let match = null;
+      ranges.forEach(range => {
+        let specificity = -1;
+        if (range.type === type && range.subtype === subtype) specificity = 2;
+        else if (range.type === type && range.subtype === '*') specificity = 1;
+        else if (range.type === '*' && range.subtype === '*') specificity = 0;
+
+        if (specificity < 0) return;
+        if (!match || specificity > match.specificity) {
+          match = { q: range.q, index: range.index, specificity };
+        }
+      });
+
+      if (!match || match.q <= 0) return;
+      const candidate = { mediaType, order, ...match };
+      if (
+        !best ||
+        candidate.q > best.q ||
+        (candidate.q === best.q && candidate.specificity > best.specificity) ||
+        (candidate.q === best.q &&
+          candidate.specificity === best.specificity &&
+          candidate.index < best.index)
+      ) {
+        best = candidate;
+      }
+    });
+
+    return best ? best.mediaType : null;
+  }
+
+  /**
+   * Generate an entity tag from a serialized body
+   * @param {Buffer|string} payload - Serialized body
+   * @param {boolean} [weak=false] - Generate a weak validator
+   * @returns {string} Quoted entity tag
+   */
+  static generateETag(payload, weak = false) {
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+    const hash = createHash('sha1').update(buffer).digest('base64').substring(0, 27);
+    const tag = `"${buffer.length.toString(16)}-${hash}"`;
+    return weak ? `W/${tag}` : tag;
+  }
+
+  /**
+   * Media type of a file from its extension
+   * @param {string} filePath - File path or name
+   * @returns {string} Media type, `application/octet-stream` for unknown extensions
+   */
+  static getMimeType(filePath) {
+    return MIME_TYPES[extname(String(filePath)).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Build a `Content-Disposition` header value (RFC 6266). Names that are not printable ASCII
+   * get an ASCII `filename` fallback and a UTF-8 `filename*` parameter (RFC 8187).
+   * @param {string} [filename] - File name offered to the client; directories are stripped
+   * @param {boolean} [inline=false] - Display inline instead of downloading
+   * @returns {string} Header value
+   */
+  static contentDisposition(filename, inline = false) {
+    const type = inline ? 'inline' : 'attachment';
+    if (filename === undefined || filename === null || filename === '') return type;
+
+    const name = basename(String(filename));
+    const fallback = name.replace(/[^\x20-\x7e]|%/g, '_');
+    const header = `${type}; filename="${fallback.replace(/["\\]/g, '\\$&')}"`;
+    if (fallback === name) return header;
+
+    const encoded = encodeURIComponent(name).replace(
+      /['()*]/g,
+      char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+    return `${header}; filename*=UTF-8''${encoded}`;
+  }
+
+  /**
+   * Validate and encode a redirect target for the `Location` header. Relative targets are
+   * resolved against `base` when given and stay relative otherwise. Targets on another host
+   * must match `allowedHosts`, so user-supplied URLs cannot cause open redirects.
+   * @param {string|URL} url - Redirect target
+   * @param {Object} [options={}] - Redirect options
+   * @param {string|URL} [options.base] - Base URL of relative targets; its host is always allowed
+   * @param {Array<string|RegExp>} [options.allowedHosts=[]] - Other allowed hosts;
+   *   `*.example.com` also matches subdomains
+   * @returns {string} Encoded `Location` value
+   * @throws {UnsafeRedirectError} When the target is invalid, not http(s) or on a disallowed host
+   */
+  static resolveRedirect(url, options = {}) {
+    const target = url instanceof URL ? url.href : url;
+    if (typeof target !== 'string' || !target.trim()) {
+      throw new UnsafeRedirectError(url, 'target must be a non-empty string');
+    }
+    if ([...target].some(char => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f)) {
+      throw new UnsafeRedirectError(url, 'target contains control characters');
+    }
+
+    const base = options.base ? new URL(options.base) : null;
+    let resolved;
+    try {
+      resolved = new URL(target, base || REDIRECT_PLACEHOLDER_ORIGIN);
+    } catch (err) {
+      throw new UnsafeRedirectError(url, 'target is not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(resolved.protocol)) {
+      throw new UnsafeRedirectError(url, `${resolved.protocol} URLs are not allowed`);
+    }
+
+    const ownHost = base ? base.host : new URL(REDIRECT_PLACEHOLDER_ORIGIN).host;
+    if (resolved.host !== ownHost) {
+      const allowed = (options.allowedHosts || []).some(pattern => {
+        if (pattern instanceof RegExp) return pattern.test(resolved.hostname);
+        const host = String(pattern).toLowerCase();
+        if (host.startsWith('*.')) return resolved.hostname.endsWith(host.slice(1));
+        return host === resolved.hostname || host === resolved.host;
+      });
+      if (!allowed) {
+        throw new UnsafeRedirectError(url, `host ${resolved.host} is not allowed`);
+      }
+      return resolved.href;
+    }
+    if (base) return resolved.href;
+
+    // Keep relative references relative, percent-encoding what is not allowed in a URI
+    return target.replace(/[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, encodeURIComponent);
+  }
+
+  /**
+   * Normalize rate-limit metadata: `reset` and `retryAfter` become whole seconds from `now`
+   * @param {Object} info - Rate-limit metadata
+   * @param {number} [info.limit] - Requests allowed per window
+   * @param {number} [info.remaining] - Requests left in the current window
+   * @param {number|Date} [info.reset] - Seconds (or the time) until the quota is restored
+   * @param {number|Date} [info.retryAfter] - Seconds (or the time) until a retry may succeed
+   * @param {number} [info.window] - Window length in seconds, sent in `RateLimit-Policy`
+   * @param {number} [now=Date.now()] - Reference time for Date values
+   * @returns {Object} Metadata with the given members only
+   * @throws {Error} When a member is not a non-negative number or a valid Date
+   */
+  static normalizeRateLimit(info, now = Date.now()) {
+    if (!info || typeof info !== 'object') {
+      throw new TypeError('Rate-limit metadata must be an object');
+    }
+
+    return ['limit', 'remaining', 'reset', 'retryAfter', 'window'].reduce((acc, name) => {
+      const value = info[name];
+      if (value === undefined || value === null) return acc;
+      const isDate = value instanceof Date;
+      const seconds = isDate ? (value.getTime() - now) / 1000 : value;
+      if (typeof seconds !== 'number' || Number.isNaN(seconds) || (!isDate && seconds < 0)) {
+        throw new Error(
+          `Invalid rateLimit ${name}: ${value}. Must be a non-negative number or a Date`
+        );
+      }
+      acc[name] = Math.max(0, Math.ceil(seconds));
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Build `RateLimit-*` (IETF draft) and `Retry-After` headers. A Date `retryAfter` is sent as
+   * an HTTP date, numbers as delay seconds.
+   * @param {Object} info - Rate-limit metadata (see `normalizeRateLimit`)
+   * @param {number} [now=Date.now()] - Reference time for Date values
+   * @returns {Object<string, string>} Headers
+   */
+  static rateLimitHeaders(info, now = Date.now()) {
+    const { limit, remaining, reset, retryAfter, window } = this.normalizeRateLimit(info, now);
+    const headers = {};
+    if (limit !== undefined) headers['RateLimit-Limit'] = String(limit);
+    if (remaining !== undefined) headers['RateLimit-Remaining'] = String(remaining);
+    if (reset !== undefined) headers['RateLimit-Reset'] = String(reset);
+    if (limit !== undefined && window !== undefined) {
+      headers['RateLimit-Policy'] = `${limit};w=${window}`;
+    }
+    if (retryAfter !== undefined) {
+      headers['Retry-After'] = this.formatRetryAfter(
+        info.retryAfter instanceof Date ? info.retryAfter : retryAfter
+      );
+    }
+    return headers;
+  }
+
+  /**
+   * Format a `Retry-After` value: Dates as HTTP dates, numbers as whole delay seconds
+   * @param {number|Date} value - Seconds to wait, or the time a retry may succeed
+   * @returns {string} Header value
+   * @throws {Error} When the value is not a non-negative number or a valid Date
+   */
+  static formatRetryAfter(value) {
+    if (value instanceof Date && !Number.isNaN(value.getTime())) return value.toUTCString();
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      throw new Error(`Invalid retryAfter: ${value}. Must be a non-negative number or a Date`);
+    }
+    return String(Math.ceil(value));
+  }
+
+  /**
+   * Serialize a `Set-Cookie` header value (RFC 6265)
+   * @param {string} name - Cookie name
+   * @param {string} value - Cookie value, percent-encoded on output
+   * @param {Object} [options={}] - Cookie attributes
+   * @param {number} [options.maxAge] - Lifetime in seconds
+   * @param {Date} [options.expires] - Expiry date
+   * @param {string} [options.path='/'] - Path attribute
+   * @param {string} [options.domain] - Domain attribute
+   * @param {boolean} [options.secure] - Secure attribute
+   * @param {boolean} [options.httpOnly] - HttpOnly attribute
+   * @param {boolean|string} [options.sameSite] - `'Strict'`, `'Lax'`, `'None'` (`true` is Strict)
+   * @param {boolean} [options.partitioned] - Partitioned attribute (CHIPS)
+   * @returns {string} Header value
+   * @throws {Error} When the name or an attribute is invalid
+   */
+  static serializeCookie(name, value, options = {}) {
+    if (typeof name !== 'string' || !HTTP_TOKEN_PATTERN.test(name)) {
+      throw new Error(`Invalid cookie name: ${name}`);
+    }
+    const parts = [`${name}=${encodeURIComponent(value == null ? '' : String(value))}`];
+
+    if (options.maxAge !== undefined) {
+      if (!Number.isFinite(options.maxAge)) {
+        throw new Error(`Invalid cookie maxAge: ${options.maxAge}. Must be a number of seconds`);
+      }
+      parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    }
+    if (options.expires !== undefined) {
+      const expires = new Date(options.expires);
+      if (Number.isNaN(expires.getTime())) {
+        throw new Error(`Invalid cookie expires: ${options.expires}`);
+      }
+      parts.push(`Expires=${expires.toUTCString()}`);
+    }
+    [
+      ['Domain', options.domain],
+      ['Path', options.path === undefined ? '/' : options.path],
+    ].forEach(([attribute, attributeValue]) => {
+      if (attributeValue === undefined || attributeValue === null) return;
+      if (/[;\r\n]/.test(attributeValue)) {
+        throw new Error(`Invalid cookie ${attribute.toLowerCase()}: ${attributeValue}`);
+      }
+      parts.push(`${attribute}=${attributeValue}`);
+    });
+    if (options.secure) parts.push('Secure');
+    if (options.httpOnly) parts.push('HttpOnly');
+    if (options.sameSite) {
+      const sameSite =
+        options.sameSite === true
+          ? 'Strict'
+          : COOKIE_SAME_SITE.find(
+              mode => mode.toLowerCase() === String(options.sameSite).toLowerCase()
+            );
+      if (!sameSite) {
+        throw new Error(
+          `Invalid cookie sameSite: ${options.sameSite}. Must be one of: ${COOKIE_SAME_SITE.join(', ')}`
+        );
+      }
+      if (sameSite === 'None' && !options.secure) {
+        throw new Error('Cookies with SameSite=None must be secure');
+      }
+      parts.push(`SameSite=${sameSite}`);
+    }
+    if (options.partitioned) {
+      if (!options.secure) throw new Error('Partitioned cookies must be secure');
+      parts.push('Partitioned');
+    }
+
+    return parts.join('; ');
+  }
+
+  /**
+   * Sign a cookie value with HMAC-SHA256, in the `s:<value>.<signature>` format used by
+   * cookie-parser
+   * @param {string} value - Cookie value
+   * @param {string} secret - Signing secret
+   * @returns {string} Signed value
+   */
+  static signCookie(value, secret) {
+    const signature = createHmac('sha256', secret)
+      .update(String(value))
+      .digest('base64')
+      .replace(/=+$/, '');
+    return `s:${value}.${signature}`;
+  }
+
+  /**
+   * Verify a value produced by `signCookie`
+   * @param {string} signed - Signed cookie value
+   * @param {string|string[]} secrets - Secret, or secrets to try when rotating
+   * @returns {string|false} Original value, or false when the signature does not match
+   */
+  static unsignCookie(signed, secrets) {
+    if (typeof signed !== 'string' || !signed.startsWith('s:')) return false;
+    const value = signed.slice(2, signed.lastIndexOf('.'));
+    const actual = Buffer.from(signed);
+    const valid = [].concat(secrets).some(secret => {
+      const expected = Buffer.from(this.signCookie(value, secret));
+      return expected.length === actual.length && timingSafeEqual(expected, actual);
+    });
+    return valid ? value : false;
+  }
+
+  /**
+   * Whether a value is a valid CORS `origin` option
+   * @param {*} origin - Option value
+   * @returns {boolean} True for strings, RegExps, functions and arrays of strings / RegExps
+   */
+  static isCorsOriginOption(origin) {
+    const isMatcher = value => typeof value === 'string' || value instanceof RegExp;
+    return (
+      isMatcher(origin) ||
+      typeof origin === 'function' ||
+      (Array.isArray(origin) && origin.every(isMatcher))
+    );
+  }
+
+  /**
+   * Compare an entity tag against an `If-Match` / `If-None-Match` header
+   * @param {string} header - Header value (a list of entity tags or `*`)
+   * @param {string} [etag] - Current entity tag
+   * @param {boolean} [weakComparison=false] - Use weak comparison (If-None-Match)
+   * @returns {boolean} Whether any listed tag matches; `*` matches any current representation,
+   *   even one without an entity tag
+   */
+  static matchesETag(header, etag, weakComparison = false) {
+    if (typeof header !== 'string') return false;
+    if (header.trim() === '*') return true;
+    if (!etag) return false;
+
+    const isWeak = tag => tag.startsWith('W/');
+    const opaque = tag => (isWeak(tag) ? tag.substring(2) : tag);
+
+    return header
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean)
+      .some(tag => {
+        if (weakComparison) return opaque(tag) === opaque(etag);
+        return !isWeak(tag) && !isWeak(etag) && tag === etag;
+      });
+  }
+
+  /**
+   * Parse a `Range` header against a representation size
+   * @param {number} size - Size of the full representation in bytes
+   * @param {string} header - Range header value
+   * @returns {Array<{start: number, end: number}>|number} Combined ranges in ascending order,
+   *   `-1` when unsatisfiable or `-2` when the header is malformed and should be ignored
+   */
+  static parseRange(size, header) {
+    if (typeof header !== 'string') return -2;
+
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) return -2;
+
+    const specs = match[1].split(',').map(spec => spec.trim());
+    if (specs.length > MAX_BYTE_RANGES) return -2;
+
+    const ranges = [];
+    for (const spec of specs) {
+      const parts = /^(\d*)-(\d*)$/.exec(spec);
+      if (!parts || (parts[1] === '' && parts[2] === '')) return -2;
+
+      let start;
+      let end;
+      if (parts[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(parts[2]), 0);
+        end = size - 1;
+        if (Number(parts[2]) === 0) continue;
+      } else {
+        start = Number(parts[1]);
+        end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+        if (parts[2] !== '' && Number(parts[2]) < start) return -2;
+      }
+
+      if (start < size && start <= end) {
+        ranges.push({ start, end });
+      }
+    }
+
+    if (!ranges.length) return -1;
+
+    // Combine overlapping and adjacent ranges
+    return ranges
+      .sort((a, b) => a.start - b.start)
+      .reduce((combined, range) => {
+        const last = combined[combined.length - 1];
+        if (last && range.start <= last.end + 1) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          combined.push({ ...range });
+        }
+        return combined;
+      }, []);
+  }
+
+  /**
+   * Build the preamble written before each part of a `multipart/byteranges` body
+   * @param {string} boundary - Multipart boundary
+   * @param {string} type - Content type of the representation
+   * @param {{start: number, end: number}} range - Byte range of the part
+   * @param {number} size - Size of the full representation
+   * @returns {string} Part delimiter and headers
+   */
+  static byteRangePartHeader(boundary, type, range, size) {
+    return (
+      `--${boundary}\r\nContent-Type: ${type}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    );
+  }
+
+  /**
+   * Pick the best content coding for the given `Accept-Encoding` header
+   * @param {string} header - Accept-Encoding header value
+   * @param {string[]} available - Codings the server can produce, in server preference order
+   * @returns {string|null} Selected coding, or null when the body should be sent as-is
+   */
+  static negotiateEncoding(header, available) {
+    if (typeof header !== 'string' || !header.trim()) return null;
+
+    const weights = {};
+    header.split(',').forEach(part => {
+      const [coding, ...params] = part.trim().toLowerCase().split(';');
+      if (!coding) return;
+      let q = 1;
+      params.forEach(param => {
+        const [key, value] = param.trim().split('=');
+        if (key === 'q') {
+          const parsed = Number(value);
+          q = Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 1) : 0;
+        }
+      });
+      weights[coding.trim()] = q;
+    });
+
+    let best = null;
+    available.forEach(coding => {
+      const q = coding in weights ? weights[coding] : weights['*'];
+      if (q > 0 && (!best || q > best.q)) {
+        best = { coding, q };
+      }
+    });
+    return best ? best.coding : null;
+  }
+
+  /**
+   * Whether a content type is worth compressing (already-compressed formats are skipped)
+   * @param {string} type - Content type
+   * @returns {boolean} False for images, audio, video, fonts and archives
+   */
+  static isCompressible(type) {
+    const mediaType = String(type || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    if (!mediaType) return false;
+    if (mediaType === 'image/svg+xml') return true;
+    if (/^(image|audio|video)\//.test(mediaType) || /^font\/woff2?$/.test(mediaType)) return false;
+    return ![
+      'application/gzip',
+      'application/x-gzip',
+      'application/deflate',
+      'application/zip',
+      'application/x-bzip2',
+      'application/x-7z-compressed',
+      'application/x-rar-compressed',
+      'application/pdf',
+    ].includes(mediaType);
+  }
+
+  /**
+   * Serialize a value as an XML document
+   * @param {*} value - Value to serialize
+   * @param {string} [rootName='response'] - Root element name
+   * @returns {string} XML document
+   */
+  static toXml(value, rootName = DEFAULT_XML_ROOT) {
+    const escape = text =>
+      String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+    const toName = name => {
+      const sanitized = String(name).replace(/[^A-Za-z0-9_.-]/g, '_');
+      return /^[A-Za-z_]/.test(sanitized) ? sanitized : `_${sanitized}`;
+    };
+    const serialize = (name, node) => {
+      const tag = toName(name);
+      if (node == null) return `<${tag}/>`;
+      if (node && typeof node.toJSON === 'function') node = node.toJSON();
+      if (Array.isArray(node)) {
+        return `<${tag}>${node.map(item => serialize('item', item)).join('')}</${tag}>`;
+      }
+      if (typeof node === 'object') {
+        const children = Object.entries(node)
+          .filter(([, child]) => child !== undefined)
+          .map(([key, child]) => serialize(key, child))
+          .join('');
+        return `<${tag}>${children}</${tag}>`;
+      }
+      return `<${tag}>${escape(node)}</${tag}>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>${serialize(rootName, value)}`;
+  }
+
+  /**
+   * Whether a value is an array of plain objects that can be rendered as CSV rows
+   * @param {*} value - Value to check
+   * @returns {boolean} True for arrays whose items are all non-array objects
+   */
+  static isTabular(value) {
+    return (
+      Array.isArray(value) &&
+      value.every(row => row !== null && typeof row === 'object' && !Array.isArray(row))
+    );
+  }
+
+  /**
+   * Serialize an array of objects as RFC 4180 CSV
+   * @param {Object[]} rows - Rows to serialize
+   * @returns {string} CSV document with a header line
+   */
+  static toCsv(rows) {
+    const columns = [];
+    rows.forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+
+    const cell = value => {
+      if (value == null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(line => line.map(cell).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Serialize a value with MessagePack
+   * @param {*} value - Value to serialize
+   * @returns {Buffer} MessagePack encoded value
+   */
+  static toMsgpack(value) {
+    const chunks = [];
+    const push = (...bytes) => chunks.push(Buffer.from(bytes));
+    const pushWithHeader = (header, buffer) => chunks.push(header, buffer);
+    const sized = (length, small, medium, large) => {
+      if (length < 0x100 && small !== null) return Buffer.from([small, length]);
+      if (length < 0x10000) return Buffer.from([medium, length >> 8, length & 0xff]);
+      const header = Buffer.alloc(5);
+      header[0] = large;
+      header.writeUInt32BE(length, 1);
+      return header;
+    };
+
+    const encode = node => {
+      if (node && typeof node.toJSON === 'function' && !Buffer.isBuffer(node)) node = node.toJSON();
+
+      if (node == null) return push(0xc0);
+      if (node === false) return push(0xc2);
+      if (node === true) return push(0xc3);
+
+      if (typeof node === 'number') {
+        if (Number.isInteger(node) && node >= 0 && node < 0x80) return push(node);
+        if (Number.isInteger(node) && node < 0 && node >= -32) return push(node & 0xff);
+        if (Number.isInteger(node) && node >= -0x80000000 && node <= 0xffffffff) {
+          const buffer = Buffer.alloc(5);
+          if (node >= 0) {
+            buffer[0] = 0xce;
+            buffer.writeUInt32BE(node, 1);
+          } else {
+            buffer[0] = 0xd2;
+            buffer.writeInt32BE(node, 1);
+          }
+          return chunks.push(buffer);
+        }
+        const buffer = Buffer.alloc(9);
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(node, 1);
+        return chunks.push(buffer);
+      }
+
+      if (typeof node === 'string') {
+        const buffer = Buffer.from(node, 'utf8');
+        if (buffer.length < 32) return pushWithHeader(Buffer.from([0xa0 | buffer.length]), buffer);
+        return pushWithHeader(sized(buffer.length, 0xd9, 0xda, 0xdb), buffer);
+      }
+
+      if (Buffer.isBuffer(node)) {
+        return pushWithHeader(sized(node.length, 0xc4, 0xc5, 0xc6), node);
+      }
+
+      if (Array.isArray(node)) {
+        if (node.length < 16) push(0x90 | node.length);
+        else chunks.push(sized(node.length, null, 0xdc, 0xdd));
+        return node.forEach(item => encode(item === undefined ? null : item));
+      }
+
+      if (typeof node === 'object') {
+        const entries = Object.entries(node).filter(([, child]) => child !== undefined);
+        if (entries.length < 16) push(0x80 | entries.length);
+        else chunks.push(sized(entries.length, null, 0xde, 0xdf));
+        return entries.forEach(([key, child]) => {
+          encode(key);
+          encode(child);
+        });
+      }
+
+      return encode(String(node));
+    };
+
+    encode(value);
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * Serializers available to content negotiation for structured (JSON-compatible) bodies,
+ * listed in server preference order
+ * @type {Array<{type: string, accepts: function(*): boolean, serialize: function(*): *}>}
+ */
+const CONTENT_SERIALIZERS = [
+  { type: 'application/json', accepts: () => true, serialize: body => body },
+  { type: 'application/xml', accepts: () => true, serialize: body => ResponseHelper.toXml(body) },
+  {
+    type: 'text/csv',
+    accepts: body => ResponseHelper.isTabular(body),
+    serialize: body => ResponseHelper.toCsv(body),
+  },
+  {
+    type: 'application/msgpack',
+    accepts: () => true,
+    serialize: body => ResponseHelper.toMsgpack(body),
+  },
+  {
+    type: 'application/x-msgpack',
+    accepts: () => true,
+    serialize: body => ResponseHelper.toMsgpack(body),
+  },
+  { type: 'text/plain', accepts: () => true, serialize: body => JSON.stringify(body) },
+];
+
+/**
+ * Named response envelope formats. Each wraps a processed body based on the status code and
+ * returns the new body with its content type.
+ * @type {Object<string, function(*, number): {body: *, type: string}>}
+ */
+const ENVELOPE_FORMATS = {
+  // https://github.com/omniti-labs/jsend
+  jsend: (body, status) => {
+    if (status < 400) return { body: { status: 'success', data: body }, type: 'application/json' };
+
+    const { message, code, details } = ResponseHelper.describeErrorBody(body, status);
+    if (status < 500) {
+      return {
+        body: {
+          status: 'fail',
+          data: details === undefined ? { message } : { message, ...details },
+        },
+        type: 'application/json',
+      };
+    }
+    return {
+      body: {
+        status: 'error',
+        message,
+        ...(code !== undefined && { code }),
+        ...(details !== undefined && { data: details }),
+      },
+      type: 'application/json',
+    };
+  },
+  // https://jsonapi.org/format/#document-top-level
+  jsonapi: (body, status) => {
+    if (status < 400) return { body: { data: body }, type: 'application/vnd.api+json' };
+
+    const { message, code, details } = ResponseHelper.describeErrorBody(body, status);
+    const error = {
+      status: String(status),
+      ...(code !== undefined && { code: String(code) }),
+      title: ResponseHelper.getStatusMessage(status),
+      detail: message,
+      ...(details !== undefined && { meta: details }),
+    };
+    return { body: { errors: [error] }, type: 'application/vnd.api+json' };
+  },
+};
+
+/**
+ * Server-Sent Events channel backed by a Readable `text/event-stream` body
+ */
+class EventStream {
+  /**
+   * @param {Object} [options={}] - Event stream options
+   * @param {string} [options.lastEventId] - `Last-Event-ID` sent by the reconnecting client
+   * @param {number} [options.heartbeat=15000] - Heartbeat comment interval in ms (0 disables)
+   * @param {number} [options.retry] - Reconnection delay advertised to the client in ms
+   * @param {function(string, EventStream): (void|Promise<void>)} [options.onReplay] - Replays
+   *   missed events when the client reconnects with a `Last-Event-ID`
+   * @param {function(EventStream): void} [options.onClose] - Called once the stream is torn down
+   */
+  constructor(options = {}) {
+    this.lastEventId = options.lastEventId;
+    this.closed = false;
+    this.body = new Readable({ read() {} });
+    this.heartbeatInterval =
+      options.heartbeat === undefined ? DEFAULT_SSE_HEARTBEAT : options.heartbeat;
+    this.heartbeatTimer = null;
+
+    this.body.once('close', () => {
+      this.closed = true;
+      this.#stopHeartbeat();
+      if (typeof options.onClose === 'function') options.onClose(this);
+    });
+
+    if (options.retry !== undefined) {
+      this.#write(`retry: ${Math.max(0, Math.floor(options.retry))}\n\n`);
+    }
+    if (this.heartbeatInterval > 0) {
+      this.heartbeatTimer = setInterval(() => this.comment('heartbeat'), this.heartbeatInterval);
+      if (typeof this.heartbeatTimer.unref === 'function') this.heartbeatTimer.unref();
+    }
+
+    // Replay after the caller had a chance to attach the body to the transport
+    if (this.lastEventId !== undefined && typeof options.onReplay === 'function') {
+      setImmediate(async () => {
+        if (this.closed) return;
+        try {
+          await options.onReplay(this.lastEventId, this);
+        } catch (error) {
+          this.body.destroy(error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Serialize a single event frame
+   * @param {string} [event] - Event name (omitted for the default `message` event)
+   * @param {*} data - Event payload, serialized like a response body
+   * @param {Object} [options={}] - Frame options
+   * @param {string|number} [options.id] - Event id, replayed by the client as `Last-Event-ID`
+   * @param {number} [options.retry] - Reconnection delay in ms
+   * @returns {string} `text/event-stream` frame
+   */
+  static formatEvent(event, data, options = {}) {
+    const singleLine = value => String(value).replace(/[\r\n]/g, '');
+    const lines = [];
+
+    if (options.id !== undefined && options.id !== null)
+      lines.push(`id: ${singleLine(options.id)}`);
+    if (event) lines.push(`event: ${singleLine(event)}`);
+    if (options.retry !== undefined) lines.push(`retry: ${Math.max(0, Math.floor(options.retry))}`);
+
+    const { body } = ResponseHelper.prepareBodyMetadata(data);
+    const payload = ResponseHelper.serializeBody(body);
+    String(Buffer.isBuffer(payload) ? payload.toString() : payload)
+      .split(/\r\n|\r|\n/)
+      .forEach(line => lines.push(`data: ${line}`));
+
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Send an event to the client
+   * @param {string} [event] - Event name
+   * @param {*} data - Event payload
+   * @param {Object} [options={}] - Frame options (`id`, `retry`)
+   * @returns {boolean} False when the stream is closed or the consumer applies backpressure
+   */
+  send(event, data, options = {}) {
+    if (options.id !== undefined && options.id !== null) {
+      this.lastEventId = String(options.id);
+    }
+    return this.#write(EventStream.formatEvent(event, data, options));
+  }
+
+  /**
+   * Send a comment line, ignored by clients (useful to keep proxies from timing out)
+   * @param {string} [text=''] - Comment text
+   * @returns {boolean} False when the stream is closed or the consumer applies backpressure
+   */
+  comment(text = '') {
+    const lines = String(text)
+      .split(/\r\n|\r|\n/)
+      .map(line => (line ? `: ${line}` : ':'));
+    return this.#write(`${lines.join('\n')}\n\n`);
+  }
+
+  /**
+   * End the stream gracefully once buffered events were consumed
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.#stopHeartbeat();
+    this.body.push(null);
+  }
+
+  /**
+   * Tear the stream down immediately
+   */
+  destroy() {
+    this.closed = true;
+    this.#stopHeartbeat();
+    ResponseHelper.destroyStream(this.body, true);
+  }
+
+  /**
+   * Push a raw frame to the body
+   * @param {string} frame - Serialized frame
+   * @returns {boolean} Whether more data can be written right away
+   */
+  #write(frame) {
+    if (this.closed || this.body.destroyed) return false;
+    return this.body.push(frame);
+  }
+
+  /**
+   * Stop sending heartbeat comments
+   */
+  #stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
+
+/**
+ * Case-insensitive, multi-value header collection. Names keep the casing they were last set
+ * with; names and values are validated so they cannot inject CR/LF into the response.
+ */
+class HeaderStore {
+  #entries = new Map();
+
+  /**
+   * @param {Object|HeaderStore|Iterable<[string, *]>} [init] - Initial headers
+   */
+  constructor(init) {
+    if (init instanceof HeaderStore) {
+      init.#entries.forEach(({ name, values }, key) =>
+        this.#entries.set(key, { name, values: [...values] })
+      );
+    } else if (init && typeof init[Symbol.iterator] === 'function') {
+      for (const [name, value] of init) this.set(name, value);
+    } else if (init && typeof init === 'object') {
+      Object.entries(init).forEach(([name, value]) => this.set(name, value));
+    }
+  }
+
+  /**
+   * Validate a header name and normalize a value (or list of values) to strings
+   * @param {string} name - Header name
+   * @param {*} value - Header value or array of values
+   * @returns {string[]} Normalized values
+   * @throws {InvalidHeaderError} When the name is not a token or a value contains CR, LF or NUL
+   */
+  static #normalize(name, value) {
+    if (typeof name !== 'string' || !HTTP_TOKEN_PATTERN.test(name)) {
+      throw new InvalidHeaderError(name);
+    }
+    return [].concat(value).map(entry => {
+      const normalized = String(entry);
+      if (/[\r\n\0]/.test(normalized)) throw new InvalidHeaderError(name, normalized);
+      return normalized;
+    });
+  }
+
+  /**
+   * Set a header, replacing existing values
+   * @param {string} name - Header name
+   * @param {*} value - Header value or array of values
+   * @returns {HeaderStore} Current instance
+   */
+  set(name, value) {
+    this.#entries.set(name.toLowerCase(), { name, values: HeaderStore.#normalize(name, value) });
+    return this;
+  }
+
+  /**
+   * Add a value to a header, keeping existing values
+   * @param {string} name - Header name
+   * @param {*} value - Header value or array of values
+   * @returns {HeaderStore} Current instance
+   */
+  append(name, value) {
+    const values = HeaderStore.#normalize(name, value);
+    const entry = this.#entries.get(name.toLowerCase());
+    if (entry) entry.values.push(...values);
+    else this.#entries.set(name.toLowerCase(), { name, values });
+    return this;
+  }
+
+  /**
+   * Get a header value; multiple values are joined with `, `
+   * @param {string} name - Header name
+   * @returns {string|undefined} Header value
+   */
+  get(name) {
+    const entry = this.#entries.get(String(name).toLowerCase());
+    return entry ? entry.values.join(', ') : undefined;
+  }
+
+  /**
+   * Get every value of a header (e.g. each `Set-Cookie`)
+   * @param {string} name - Header name
+   * @returns {string[]} Header values
+   */
+  getAll(name) {
+    const entry = this.#entries.get(String(name).toLowerCase());
+    return entry ? [...entry.values] : [];
+  }
+
+  /**
+   * @param {string} name - Header name
+   * @returns {boolean} Whether the header is set
+   */
+  has(name) {
+    return this.#entries.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Remove a header
+   * @param {string} name - Header name
+   * @returns {boolean} Whether the header was set
+   */
+  delete(name) {
+    return this.#entries.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Iterate `[name, value]` pairs; multi-value headers and `Set-Cookie` yield an array
+   * @returns {Iterator<[string, string|string[]]>} Header entries
+   */
+  *entries() {
+    for (const [key, { name, values }] of this.#entries) {
+      // Set-Cookie cannot be folded into one line, so it is always a list
+      yield [name, values.length === 1 && key !== 'set-cookie' ? values[0] : [...values]];
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Plain object view of the headers, as returned in HTTP responses
+   * @returns {Object<string, string|string[]>} Headers keyed by name
+   */
+  toObject() {
+    return Object.fromEntries(this.entries());
+  }
+}
+
+/**
+ * In-memory token bucket rate limiter. Every key gets a bucket of `limit` tokens that refills
+ * continuously, becoming full again `window` milliseconds after it was emptied. Full buckets
+ * are pruned at most once per window.
+ */
+class RateLimiter {
+  #buckets = new Map();
+  #lastPrune;
+
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Bucket capacity, i.e. requests allowed per window
+   * @param {number} [options.window=60000] - Milliseconds to refill an empty bucket
+   * @param {function(): number} [options.now=Date.now] - Clock returning milliseconds
+   */
+  constructor(options = {}) {
+    const { limit, window = DEFAULT_RATE_LIMIT_WINDOW, now = Date.now } = options;
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Invalid rate limit: ${limit}. Must be a positive integer`);
+    }
+    if (typeof window !== 'number' || !(window > 0)) {
+      throw new Error(`Invalid rate limit window: ${window}. Must be a positive number`);
+    }
+    this.limit = limit;
+    this.window = window;
+    this.now = now;
+    this.#lastPrune = now();
+  }
+
+  /**
+   * Number of tracked keys
+   * @returns {number} Bucket count
+   */
+  get size() {
+    return this.#buckets.size;
+  }
+
+  /**
+   * Take tokens from a key's bucket. The result can be passed as the `rateLimit` option.
+   * @param {string} key - Client key (IP address, user or API key, ...)
+   * @param {number} [cost=1] - Tokens to take
+   * @returns {{allowed: boolean, limit: number, remaining: number, reset: number,
+   *   window: number, retryAfter: (number|undefined)}} Decision and metadata in seconds
+   * @throws {Error} When the cost is not positive or exceeds the limit
+   */
+  consume(key, cost = 1) {
+    if (typeof cost !== 'number' || !(cost > 0) || cost > this.limit) {
+      throw new Error(`Invalid rate limit cost: ${cost}. Must be between 0 and ${this.limit}`);
+    }
+    const time = this.now();
+    this.#prune(time);
+
+    const available = this.#available(key, time);
+    const allowed = available >= cost;
+    const tokens = allowed ? available - cost : available;
+    this.#buckets.set(key, { tokens, updatedAt: time });
+
+    const msPerToken = this.window / this.limit;
+    return {
+      allowed,
+      limit: this.limit,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil(((this.limit - tokens) * msPerToken) / 1000),
+      window: Math.ceil(this.window / 1000),
+      ...(!allowed && { retryAfter: Math.ceil(((cost - tokens) * msPerToken) / 1000) }),
+    };
+  }
+
+  /**
+   * Refill a key's bucket
+   * @param {string} key - Client key
+   * @returns {boolean} Whether the key was tracked
+   */
+  reset(key) {
+    return this.#buckets.delete(key);
+  }
+
+  /**
+   * Tokens in a key's bucket at a point in time
+   * @param {string} key - Client key
+   * @param {number} time - Milliseconds
+   * @returns {number} Available tokens
+   */
+  #available(key, time) {
+    const bucket = this.#buckets.get(key);
+    if (!bucket) return this.limit;
+    const refilled = ((time - bucket.updatedAt) * this.limit) / this.window;
+    return Math.min(this.limit, bucket.tokens + Math.max(0, refilled));
+  }
+
+  /**
+   * Drop full buckets, which behave like untracked keys
+   * @param {number} time - Milliseconds
+   */
+  #prune(time) {
+    if (time - this.#lastPrune < this.window) return;
+    this.#lastPrune = time;
+    for (const key of [...this.#buckets.keys()]) {
+      if (this.#available(key, time) >= this.limit) this.#buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Ordered collection of response interceptors.
+ *
+ * An interceptor is an object with optional hooks, all of which may be async:
+ * - `beforeProcess(context)` runs before the body is processed and may replace `context.body`
+ * - `afterProcess(context)` runs once the body is processed and may replace `context.processedBody`
+ * - `onError(error, context)` runs when sending fails; returning an Error replaces the thrown one
+ *
+ * Hooks can change the status and headers through `context.builder`. An optional `protocols`
+ * array limits an interceptor to the listed protocols.
+ */
+class InterceptorRegistry {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Register an interceptor
+   * @param {Object} interceptor - Interceptor with `beforeProcess`, `afterProcess` and/or `onError`
+   * @returns {InterceptorRegistry} Current instance
+   * @throws {TypeError} When the interceptor defines no hooks
+   */
+  use(interceptor) {
+    const hooks = ['beforeProcess', 'afterProcess', 'onError'];
+    if (
+      !interceptor ||
+      typeof interceptor !== 'object' ||
+      !hooks.some(hook => typeof interceptor[hook] === 'function')
+    ) {
+      throw new TypeError(`Interceptors must define at least one of: ${hooks.join(', ')}`);
+    }
+    this.entries.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Remove a previously registered interceptor
+   * @param {Object} interceptor - Interceptor to remove
+   * @returns {boolean} Whether the interceptor was registered
+   */
+  remove(interceptor) {
+    const index = this.entries.indexOf(interceptor);
+    if (index === -1) return false;
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Remove every registered interceptor
+   * @returns {InterceptorRegistry} Current instance
+   */
+  clear() {
+    this.entries = [];
+    return this;
+  }
+
+  /**
+   * List interceptors that apply to a protocol, in registration order
+   * @param {string} [protocol] - Protocol to filter by
+   * @returns {Object[]} Registered interceptors
+   */
+  list(protocol) {
+    return this.entries.filter(
+      ({ protocols }) => !protocol || !Array.isArray(protocols) || protocols.includes(protocol)
+    );
+  }
+}
+
+/**
+ * Maps error classes and `code` values to response statuses.
+ *
+ * Codes are matched first, then classes from the most specific one up the prototype chain, so
+ * a subclass mapping wins over its parent's regardless of registration order.
+ */
+class ErrorRegistry {
+  #codes = new Map();
+  #classes = new Map();
+
+  /**
+   * @param {Iterable<Array>} [entries] - `[matcher, mapping]` pairs to register
+   */
+  constructor(entries = []) {
+    for (const [matcher, mapping] of entries) this.register(matcher, mapping);
+  }
+
+  /**
+   * Register a mapping
+   * @param {function|string} matcher - Error class or `code` value
+   * @param {number|Object} mapping - Status code, or `{ statusCode, expose }`
+   * @returns {ErrorRegistry} Current instance
+   * @throws {TypeError} When the matcher is neither a class nor a string
+   * @throws {InvalidStatusCodeError} When the status is not a 4xx or 5xx code
+   */
+  register(matcher, mapping) {
+    const { statusCode, expose } = typeof mapping === 'object' ? mapping : { statusCode: mapping };
+    if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599) {
+      throw new InvalidStatusCodeError(statusCode);
+    }
+    const entry = { statusCode, expose: expose ?? statusCode < 500 };
+
+    if (typeof matcher === 'string') this.#codes.set(matcher, entry);
+    else if (typeof matcher === 'function') this.#classes.set(matcher, entry);
+    else throw new TypeError('Error matchers must be an error class or a code string');
+    return this;
+  }
+
+  /**
+   * Remove a mapping
+   * @param {function|string} matcher - Error class or `code` value
+   * @returns {boolean} Whether the matcher was registered
+   */
+  unregister(matcher) {
+    return this.#codes.delete(matcher) || this.#classes.delete(matcher);
+  }
+
+  /**
+   * Remove every mapping, including the defaults
+   * @returns {ErrorRegistry} Current instance
+   */
+  clear() {
+    this.#codes.clear();
+    this.#classes.clear();
+    return this;
+  }
+
+  /**
+   * Find the mapping for an error
+   * @param {*} error - Error to look up
+   * @returns {{statusCode: number, expose: boolean}|null} Mapping, or null when none matches
+   */
+  resolve(error) {
+    if (error === null || typeof error !== 'object') return null;
+    if (typeof error.code === 'string' && this.#codes.has(error.code)) {
+      return this.#codes.get(error.code);
+    }
+    for (let proto = Object.getPrototypeOf(error); proto; proto = Object.getPrototypeOf(proto)) {
+      if (this.#classes.has(proto.constructor)) return this.#classes.get(proto.constructor);
+    }
+    return null;
+  }
+}
+
+/**
+ * Global error registry, consulted after a builder's own `errors` registry
+ * (maps `ENOENT` to 404 and `EACCES` to 403 by default)
+ * @type {ErrorRegistry}
+ */
+const errorRegistry = new ErrorRegistry([
+  ['ENOENT', STATUS_CODES.notFound],
+  ['EACCES', STATUS_CODES.forbidden],
+]);
+
+/**
+ * Resolve the response status of an error from a builder registry, the global registry or
+ * its own 4xx/5xx `statusCode`/`status`
+ * @param {*} error - Error to resolve
+ * @param {ErrorRegistry} [registry] - Registry checked before the global one
+ * @returns {{statusCode: number, expose: boolean}|null} Mapping, or null for unknown errors
+ */
+function resolveErrorMapping(error, registry) {
+  const mapped = (registry && registry.resolve(error)) || errorRegistry.resolve(error);
+  if (mapped) return mapped;
+
+  const statusCode = error?.statusCode ?? error?.status;
+  if (ResponseHelper.isValidStatusCode(statusCode) && statusCode >= 400) {
+    return { statusCode, expose: error.expose ?? statusCode < 500 };
+  }
+  return null;
+}
+
+/**
+ * Built-in interceptor stamping every HTTP response with a fresh `X-Response-Time`, unless
+ * the header was set explicitly (registered globally by default)
+ * @type {Object}
+ */
+const responseTimeInterceptor = Object.freeze({
+  name: 'responseTime',
+  protocols: [PROTOCOLS.HTTP],
+  afterProcess({ builder }) {
+    if (!builder.hasHeader('X-Response-Time')) {
+      builder.responseHeader('X-Response-Time', new Date().toISOString());
+    }
+  },
+});
+
+/**
+ * Build the headers of the security preset
+ * @param {Object} options - Preset options (see `securityHeadersInterceptor`)
+ * @param {string} [nonce] - CSP nonce added to `script-src` and `style-src`
+ * @returns {Object<string, string>} Security headers
+ */
+function buildSecurityHeaders(options, nonce) {
+  const config = { ...SECURITY_HEADER_DEFAULTS, ...options };
+  const headers = {};
+
+  if (config.contentSecurityPolicy) {
+    const csp = {
+      ...SECURITY_HEADER_DEFAULTS.contentSecurityPolicy,
+      ...config.contentSecurityPolicy,
+    };
+    const directives = { ...csp.directives };
+    if (nonce) {
+      ['script-src', 'style-src'].forEach(directive => {
+        directives[directive] = [...(directives[directive] || []), `'nonce-${nonce}'`];
+      });
+    }
+    const policy = Object.entries(directives)
+      .filter(([, sources]) => sources !== false && sources != null)
+      .map(([directive, sources]) => [directive, ...[].concat(sources)].join(' '))
+      .join('; ');
+    headers[csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy'] =
+      policy;
+  }
+
+  if (config.strictTransportSecurity) {
+    const hsts = {
+      ...SECURITY_HEADER_DEFAULTS.strictTransportSecurity,
+      ...config.strictTransportSecurity,
+    };
+    headers['Strict-Transport-Security'] = [
+      `max-age=${hsts.maxAge}`,
+      hsts.includeSubDomains && 'includeSubDomains',
+      hsts.preload && 'preload',
+    ]
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  if (config.noSniff) headers['X-Content-Type-Options'] = 'nosniff';
+  if (config.referrerPolicy) {
+    headers['Referrer-Policy'] = [].concat(config.referrerPolicy).join(', ');
+  }
+
+  [
+    ['Cross-Origin-Opener-Policy', config.crossOriginOpenerPolicy],
+    ['Cross-Origin-Resource-Policy', config.crossOriginResourcePolicy],
+    ['Cross-Origin-Embedder-Policy', config.crossOriginEmbedderPolicy],
+  ].forEach(([name, value]) => {
+    if (value) headers[name] = value;
+  });
+
+  if (config.permissionsPolicy) {
+    headers['Permissions-Policy'] = Object.entries(config.permissionsPolicy)
+      .map(([feature, allowlist]) => {
+        const origins = []
+          .concat(allowlist)
+          .map(origin => (origin === 'self' || origin === '*' ? origin : `"${origin}"`));
+        return `${feature}=(${origins.join(' ')})`;
+      })
+      .join(', ');
+  }
+
+  return headers;
+}
+
+/**
+ * Create an interceptor applying a preset of security headers to HTTP responses: a
+ * Content-Security-Policy with a per-response nonce, Strict-Transport-Security,
+ * `X-Content-Type-Options: nosniff`, Referrer-Policy, Cross-Origin-* policies and
+ * Permissions-Policy. Headers already set on the builder are left untouched; the others are
+ * added to each response only (see `ResponseBuilder#responseHeader`).
+ *
+ * Every send gets a fresh nonce. It is available as `builder.cspNonce` (a nonce generated
+ * before the first send is used by that send), and every occurrence of `noncePlaceholder` in
+ * HTML and SVG string bodies is replaced with it.
+ * @param {Object} [options={}] - Preset overrides; set an entry to false to omit its header
+ * @param {boolean|Object} [options.contentSecurityPolicy] - `{ directives, nonce, reportOnly }`
+ * @param {boolean|Object} [options.strictTransportSecurity] - `{ maxAge, includeSubDomains, preload }`
+ * @param {boolean} [options.noSniff=true] - Send `X-Content-Type-Options: nosniff`
+ * @param {string|string[]|boolean} [options.referrerPolicy='no-referrer'] - Referrer-Policy
+ * @param {string|boolean} [options.crossOriginOpenerPolicy='same-origin'] - COOP value
+ * @param {string|boolean} [options.crossOriginResourcePolicy='same-origin'] - CORP value
+ * @param {string|boolean} [options.crossOriginEmbedderPolicy=false] - COEP value
+ * @param {Object<string, string[]>|boolean} [options.permissionsPolicy] - Allowlists keyed by
+ *   feature (`'self'`, `'*'` or origins); an empty list disables the feature
+ * @param {string} [options.noncePlaceholder='{{cspNonce}}'] - Placeholder replaced in bodies
+ * @returns {Object} Interceptor, with `nonce` telling whether CSP nonces are generated
+ */
+function securityHeadersInterceptor(options = {}) {
+  const { noncePlaceholder = '{{cspNonce}}', ...preset } = options;
+  const csp = preset.contentSecurityPolicy ?? SECURITY_HEADER_DEFAULTS.contentSecurityPolicy;
+  const nonce = Boolean(csp) && csp.nonce !== false;
+  // Last nonce sent by each builder, so reused builders never repeat one
+  const sentNonces = new WeakMap();
+
+  return {
+    name: 'securityHeaders',
+    protocols: [PROTOCOLS.HTTP],
+    nonce,
+    beforeProcess({ builder, state }) {
+      if (!nonce) return;
+      if (!builder.cspNonce || sentNonces.get(builder) === builder.cspNonce) {
+        builder.cspNonce = randomBytes(16).toString('base64');
+      }
+      sentNonces.set(builder, builder.cspNonce);
+      state.cspNonce = builder.cspNonce;
+    },
+    afterProcess(context) {
+      const { builder, processedBody, state } = context;
+      Object.entries(buildSecurityHeaders(preset, nonce && state.cspNonce)).forEach(
+        ([name, value]) => {
+          if (!builder.hasHeader(name)) builder.responseHeader(name, value);
+        }
+      );
+
+      if (
+        nonce &&
+        processedBody &&
+        typeof processedBody.body === 'string' &&
+        NONCE_TYPES.some(type => String(processedBody.type).startsWith(type))
+      ) {
+        context.processedBody = {
+          ...processedBody,
+          body: processedBody.body.split(noncePlaceholder).join(state.cspNonce),
+        };
+      }
+    },
+  };
+}
+
+/**
+ * Create an interceptor that propagates the request id, or generates one
+ * @param {Object} [options={}] - Interceptor options
+ * @param {string} [options.header='X-Request-ID'] - Header carrying the request id
+ * @param {function(): string} [options.generate=randomUUID] - Id generator
+ * @returns {Object} Interceptor
+ */
+function requestIdInterceptor(options = {}) {
+  const header = options.header || 'X-Request-ID';
+  const generate = options.generate || randomUUID;
+
+  return {
+    name: 'requestId',
+    protocols: [PROTOCOLS.HTTP],
+    beforeProcess({ builder, state }) {
+      state.requestId = builder.requestHeaders[header.toLowerCase()] || generate();
+      builder.header(header, state.requestId);
+    },
+  };
+}
+
+/**
+ * Global interceptors applied to every ResponseBuilder, and therefore every protocol responder
+ * @type {InterceptorRegistry}
+ */
+const interceptors = new InterceptorRegistry().use(responseTimeInterceptor);
+
+/**
+ * Enhanced Adaptive Response Handler for multiple communication protocols
+ */
+class ResponseBuilder {
+  #headers = new HeaderStore();
+
+  /**
+   * Headers, media type and redirect location computed for the response being sent (e.g.
+   * generated ETags or a file's metadata). They override the builder's own and are discarded
+   * by the next `send()`, so reused builders don't repeat them.
+   */
+  #responseState = { headers: new HeaderStore(), type: null, location: null };
+
+  /**
+   * Constructor with enhanced validation and configuration
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.protocol] - Communication protocol
+   * @param {Object} [options.headers] - Default headers
+   * @param {number} [options.streamTimeout] - Stream processing timeout
+   * @param {number} [options.maxStreamSize] - Maximum stream size
+   * @param {function} [options.errorHandler] - Custom error handler
+   * @param {string} [options.contentType] - Content type override
+   * @param {boolean} [options.streaming=false] - Pass stream bodies through instead of buffering
+   * @param {Object} [options.request] - Incoming request (or its headers) used for negotiation
+   * @param {boolean} [options.negotiate=false] - Negotiate the content type from the `Accept` header
+   * @param {boolean|Object} [options.problemDetails=false] - Emit `application/problem+json` for 4xx/5xx
+   * @param {boolean} [options.problemDetails.includeStack] - Include Error stacks
+   *   (defaults to `NODE_ENV === 'development'`)
+   * @param {boolean|Object} [options.compression=false] - Compress bodies based on `Accept-Encoding`
+   * @param {number} [options.compression.threshold=1024] - Minimum body size in bytes to compress
+   * @param {string[]} [options.compression.encodings] - Allowed codings (`br`, `gzip`, `deflate`)
+   * @param {string} [options.compression.encoding] - Force a coding (e.g. for IPC and socket payloads)
+   * @param {number} [options.compression.level] - Compression level / brotli quality
+   * @param {boolean|string} [options.etag=false] - Generate ETags: `'strong'`, `'weak'` or `true` (weak)
+   * @param {Date|string|number} [options.lastModified] - Last modification date of the resource
+   * @param {boolean} [options.ranges=false] - Serve `Range` requests for Buffer and file-stream bodies
+   * @param {Object|function} [options.schema] - JSON Schema or validator for 2xx bodies
+   * @param {Object<string, Object|function>} [options.schemas] - Schemas keyed by status code
+   *   (`404`) or status class (`4XX`)
+   * @param {string} [options.onValidationError='throw'] - `'throw'`, `'warn'` or `'convert'` (to 500)
+   * @param {Object[]} [options.interceptors] - Interceptors run after the global ones
+   * @param {string|function} [options.envelope] - Wrap bodies in `'jsend'` or `'jsonapi'`
+   *   documents, or a `function(body, { statusCode, protocol })` returning the wrapped body
+   * @param {string|string[]} [options.cookieSecret] - Secret(s) for signed cookies; the first
+   *   one signs
+   * @param {boolean|Object} [options.security] - Apply the security headers preset (options of
+   *   `securityHeadersInterceptor`); the CSP nonce is exposed as `cspNonce`
+   * @param {boolean|Object} [options.cors] - Add CORS headers for the request's `Origin`
+   * @param {string|RegExp|Array<string|RegExp>|function} [options.cors.origin='*'] - Allowed
+   *   origins, or `function(origin, requestHeaders)` resolving to true, false or the origin to allow
+   * @param {string[]} [options.cors.methods] - Methods allowed by preflight responses
+   * @param {string[]} [options.cors.allowedHeaders] - Request headers allowed by preflight
+   *   responses (defaults to reflecting `Access-Control-Request-Headers`)
+   * @param {string[]} [options.cors.exposedHeaders=[]] - Response headers exposed to scripts
+   * @param {boolean} [options.cors.credentials=false] - Allow credentials; needs an `origin`
+   *   other than `*`
+   * @param {number} [options.cors.maxAge] - Seconds preflight results may be cached
+   * @param {Object} [options.rateLimit] - Rate-limit metadata (see `rateLimit()`)
+   * @param {ErrorRegistry|Iterable<Array>} [options.errors] - Error mappings checked before the
+   *   global `errorRegistry`, as a registry or `[matcher, status]` pairs
+   */
+  constructor(options = {}) {
+    // Validate protocol
+    if (options.protocol && !listProtocols().includes(options.protocol)) {
+      throw new Error(
+        `Invalid protocol: ${options.protocol}. Must be one of: ${listProtocols().join(', ')}`
+      );
+    }
+
+    this.protocol = options.protocol || PROTOCOLS.HTTP;
+    this.statusCode = STATUS_CODES.ok;
+    this.headers(options.headers);
+    this.streamTimeout = options.streamTimeout || DEFAULT_STREAM_TIMEOUT;
+    this.maxStreamSize = options.maxStreamSize || DEFAULT_MAX_STREAM_SIZE;
+    this.customErrorHandler = options.errorHandler;
+    this.errorRegistry =
+      options.errors instanceof ErrorRegistry || !options.errors
+        ? options.errors || null
+        : new ErrorRegistry(options.errors);
+    this.contentTypeOverride = options.contentType;
+    this.streaming = Boolean(options.streaming);
+    this.request(options.request);
+    this.negotiation = Boolean(options.negotiate);
+    this.problemDetails = options.problemDetails
+      ? {
+          includeStack: process.env.NODE_ENV === 'development',
+          ...(typeof options.problemDetails === 'object' && options.problemDetails),
+        }
+      : null;
+    this.etag = options.etag === true ? 'weak' : options.etag || false;
+    if (options.lastModified !== undefined) this.lastModified(options.lastModified);
+    this.rateLimitInfo = null;
+    if (options.rateLimit) this.rateLimit(options.rateLimit);
+    this.ranges = Boolean(options.ranges);
+    this.schemas = { ...options.schemas };
+    if (options.schema !== undefined) this.schema(options.schema);
+    this.onValidationError = options.onValidationError || 'throw';
+    this.interceptors = new InterceptorRegistry();
+    (options.interceptors || []).forEach(interceptor => this.use(interceptor));
+    this.cspNonce = null;
+    this.cors = options.cors
+      ? { ...CORS_DEFAULTS, ...(typeof options.cors === 'object' && options.cors) }
+      : null;
+    this.isPreflight = false;
+    if (options.security) {
+      const security = securityHeadersInterceptor(
+        typeof options.security === 'object' ? options.security : {}
+      );
+      // Generated up front so HTML can be rendered with the nonce before send()
+      if (security.nonce) this.cspNonce = randomBytes(16).toString('base64');
+      this.use(security);
+    }
+    this.envelope = options.envelope || null;
+    this.cookies = new Map();
+    this.cookieSecret = options.cookieSecret;
+    this.compression = options.compression
+      ? {
+          threshold: DEFAULT_COMPRESSION_THRESHOLD,
+          encodings: Object.keys(CONTENT_ENCODINGS),
+          ...(typeof options.compression === 'object' && options.compression),
+        }
+      : null;
+
+    // Validate configuration
+    if (this.streamTimeout <= 0) {
+      throw new Error('Stream timeout must be a positive number');
+    }
+    if (this.maxStreamSize <= 0) {
+      throw new Error('Max stream size must be a positive number');
+    }
+    if (!VALIDATION_FAILURE_MODES.includes(this.onValidationError)) {
+      throw new Error(
+        `Invalid onValidationError: ${this.onValidationError}. Must be one of: ${VALIDATION_FAILURE_MODES.join(', ')}`
+      );
+    }
+    if (this.cors && !ResponseHelper.isCorsOriginOption(this.cors.origin)) {
+      throw new Error(
+        `Invalid cors origin: ${this.cors.origin}. Must be a string, RegExp, array or function`
+      );
+    }
+    if (this.cors && this.cors.credentials && this.cors.origin === '*') {
+      throw new Error('cors credentials require an explicit origin allowlist instead of *');
+    }
+    if (
+      this.envelope &&
+      typeof this.envelope !== 'function' &&
+      !Object.prototype.hasOwnProperty.call(ENVELOPE_FORMATS, this.envelope)
+    ) {
+      throw new Error(
+        `Invalid envelope: ${this.envelope}. Must be a function or one of: ${Object.keys(ENVELOPE_FORMATS).join(', ')}`
+      );
+    }
+    if (this.etag && !['strong', 'weak'].includes(this.etag)) {
+      throw new Error(`Invalid etag mode: ${this.etag}. Must be one of: strong, weak`);
+    }
+    if (
+      this.compression &&
+      this.compression.encoding &&
+      !CONTENT_ENCODINGS[this.compression.encoding]
+    ) {
+      throw new Error(
+        `Invalid encoding: ${this.compression.encoding}. Must be one of: ${Object.keys(CONTENT_ENCODINGS).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Set response status code with validation
+   * @param {number} code - Status code
+   * @returns {ResponseBuilder} Current instance
+   * @throws {InvalidStatusCodeError} When status code is invalid
+   */
+  status(code) {
+    if (!ResponseHelper.isValidStatusCode(code)) {
+      throw new InvalidStatusCodeError(code);
+    }
+    this.statusCode = code;
+    return this;
+  }
+
+  /**
+   * Set response headers
+   * @param {Object} headers - Headers to set
+   * @returns {ResponseBuilder} Current instance
+   */
+  headers(headers) {
+    if (headers && typeof headers === 'object') {
+      const entries = headers instanceof HeaderStore ? headers : Object.entries(headers);
+      for (const [name, value] of entries) this.header(name, value);
+    }
+    return this;
+  }
+
+  /**
+   * Set individual header
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   * @returns {ResponseBuilder} Current instance
+   */
+  header(name, value) {
+    if (typeof name === 'string' && value !== undefined) {
+      this.#headers.set(name, value);
+    }
+    return this;
+  }
+
+  /**
+   * Set a header on the response being sent only, overriding the builder's headers. Meant for
+   * interceptors adding values that change with every response; the next `send()` starts
+   * without it.
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   * @returns {ResponseBuilder} Current instance
+   */
+  responseHeader(name, value) {
+    if (typeof name === 'string' && value !== undefined) {
+      this.#responseState.headers.set(name, value);
+    }
+    return this;
+  }
+
+  /**
+   * Add a value to a header, keeping existing values
+   * @param {string} name - Header name
+   * @param {string|string[]} value - Header value(s)
+   * @returns {ResponseBuilder} Current instance
+   */
+  appendHeader(name, value) {
+    this.#headers.append(name, value);
+    return this;
+  }
+
+  /**
+   * Get a header value (case-insensitive); multiple values are joined with `, `
+   * @param {string} name - Header name
+   * @returns {string|undefined} Header value
+   */
+  getHeader(name) {
+    return this.#headers.get(name);
+  }
+
+  /**
+   * @param {string} name - Header name
+   * @returns {boolean} Whether the header is set (case-insensitive)
+   */
+  hasHeader(name) {
+    return this.#headers.has(name);
+  }
+
+  /**
+   * Remove a header
+   * @param {string} name - Header name
+   * @returns {ResponseBuilder} Current instance
+   */
+  removeHeader(name) {
+    this.#headers.delete(name);
+    return this;
+  }
+
+  /**
+   * Plain object copy of the headers set so far
+   * @returns {Object<string, string|string[]>} Headers keyed by name
+   */
+  getHeaders() {
+    return this.#headers.toObject();
+  }
+
+  /**
+   * Set a cookie. Cookies are emitted as an array-valued `Set-Cookie` header on HTTP
+   * responses; setting the same name, path and domain again replaces the earlier cookie.
+   * @param {string} name - Cookie name
+   * @param {string} value - Cookie value
+   * @param {Object} [options={}] - Attributes for `ResponseHelper.serializeCookie`, plus:
+   * @param {boolean} [options.signed] - Sign the value with the builder's `cookieSecret`
+   * @returns {ResponseBuilder} Current instance
+   * @throws {Error} When the cookie is invalid or signing is requested without a secret
+   */
+  cookie(name, value, options = {}) {
+    const { signed, ...attributes } = options;
+    let cookieValue = value == null ? '' : String(value);
+    if (signed) {
+      const [secret] = [].concat(this.cookieSecret || []);
+      if (!secret) {
+        throw new Error('Signed cookies require the cookieSecret option');
+      }
+      cookieValue = ResponseHelper.signCookie(cookieValue, secret);
+    }
+
+    const serialized = ResponseHelper.serializeCookie(name, cookieValue, attributes);
+    this.cookies.set(`${name};${attributes.domain || ''};${attributes.path ?? '/'}`, serialized);
+    return this;
+  }
+
+  /**
+   * Expire a cookie on the client
+   * @param {string} name - Cookie name
+   * @param {Object} [options={}] - `path` and `domain` the cookie was set with, plus any other
+   *   attributes to repeat
+   * @returns {ResponseBuilder} Current instance
+   */
+  clearCookie(name, options = {}) {
+    const { maxAge: _maxAge, expires: _expires, signed: _signed, ...attributes } = options;
+    return this.cookie(name, '', { ...attributes, maxAge: 0, expires: new Date(0) });
+  }
+
+  /**
+   * Attach the incoming request so its headers can drive the response
+   * @param {Object} request - Request object (Node, Express, Koa) or a headers object
+   * @returns {ResponseBuilder} Current instance
+   */
+  request(request) {
+    this.requestHeaders = ResponseHelper.normalizeRequestHeaders(request);
+    this.requestUrl = (request && (request.originalUrl || request.url)) || undefined;
+    this.requestMethod = (request && typeof request.method === 'string' && request.method) || 'GET';
+    return this;
+  }
+
+  /**
+   * Open a Server-Sent Events stream
+   * @param {Object} [options={}] - Event stream options (see `EventStream`)
+   * @returns {EventStream} Event stream whose `response` holds the HTTP response to write
+   * @throws {Error} When the builder does not use the HTTP protocol
+   */
+  eventStream(options = {}) {
+    if (this.protocol !== PROTOCOLS.HTTP) {
+      throw new Error(`Event streams require the ${PROTOCOLS.HTTP} protocol`);
+    }
+
+    const events = new EventStream({
+      lastEventId: this.requestHeaders['last-event-id'],
+      ...options,
+    });
+
+    events.response = {
+      statusCode: this.statusCode,
+      headers: this.#responseHeaders({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      }),
+      body: events.body,
+      type: 'text/event-stream',
+    };
+
+    return events;
+  }
+
+  /**
+   * Register an interceptor for this builder (runs after the global interceptors)
+   * @param {Object} interceptor - Interceptor with `beforeProcess`, `afterProcess` and/or `onError`
+   * @returns {ResponseBuilder} Current instance
+   */
+  use(interceptor) {
+    this.interceptors.use(interceptor);
+    return this;
+  }
+
+  /**
+   * Collect one hook across the global and builder interceptors, in order
+   * @param {string} hook - Hook name
+   * @returns {function[]} Hooks bound to their interceptor
+   */
+  #interceptorHooks(hook) {
+    return [...interceptors.list(this.protocol), ...this.interceptors.list(this.protocol)]
+      .filter(interceptor => typeof interceptor[hook] === 'function')
+      .map(interceptor => interceptor[hook].bind(interceptor));
+  }
+
+  /**
+   * Run interceptor hooks sequentially
+   * @param {function[]} hooks - Hooks returned by `#interceptorHooks`
+   * @param {...*} args - Hook arguments
+   * @returns {Promise<Array<*>>} Hook results
+   */
+  async #runHooks(hooks, ...args) {
+    const results = [];
+    for (const hook of hooks) {
+      results.push(await hook(...args));
+    }
+    return results;
+  }
+
+  /**
+   * Attach a JSON Schema or validator function the processed body must satisfy
+   * @param {Object|function} schema - JSON Schema or validator function
+   * @param {number|string} [statusCode] - Status code (`404`) or class (`4XX`); all 2xx by default
+   * @returns {ResponseBuilder} Current instance
+   */
+  schema(schema, statusCode = '2XX') {
+    this.schemas[String(statusCode).toUpperCase()] = schema;
+    return this;
+  }
+
+  /**
+   * Validate a processed body against the schema registered for the current status
+   * @param {Object} payload - Processed body metadata
+   * @returns {Object} Processed body, or a 500 body when validation fails in `'convert'` mode
+   * @throws {ResponseValidationError} When validation fails in `'throw'` mode
+   */
+  #validateBody(payload) {
+    const schema =
+      this.schemas[this.statusCode] !== undefined
+        ? this.schemas[this.statusCode]
+        : this.schemas[`${Math.floor(this.statusCode / 100)}XX`];
+    if (schema === undefined) return payload;
+
+    // Validate the serialized form so nested Dates and other toJSON values are checked as sent
+    let value = payload.body;
+    if (/json/.test(payload.type) && value !== null && typeof value === 'object') {
+      value = JSON.parse(JSON.stringify(value));
+    }
+
+    const errors = ResponseHelper.runValidator(value, schema);
+    if (!errors.length) return payload;
+
+    const error = new ResponseValidationError(this.statusCode, errors);
+    if (this.onValidationError === 'throw') throw error;
+    if (this.onValidationError === 'warn') {
+      // eslint-disable-next-line no-console
+      console.warn(error.message);
+      return payload;
+    }
+
+    this.status(STATUS_CODES.internalServerError);
+    if (this.problemDetails) return this.#problemDetailsResponse('Response validation failed');
+    return { body: { error: 'Response validation failed' }, type: 'application/json' };
+  }
+
+  /**
+   * Set the `Last-Modified` header
+   * @param {Date|string|number} date - Last modification date of the resource
+   * @returns {ResponseBuilder} Current instance
+   */
+  lastModified(date) {
+    const value = date instanceof Date ? date : new Date(date);
+    if (Number.isNaN(value.getTime())) {
+      throw new Error(`Invalid Last-Modified date: ${date}`);
+    }
+    return this.header('Last-Modified', value.toUTCString());
+  }
+
+  /**
+   * Attach rate-limit metadata. HTTP responses get `RateLimit-*` and `Retry-After` headers;
+   * IPC and socket envelopes get a `rateLimit` member. 429 and 503 responses without a
+   * `retryAfter` use `reset` instead.
+   * @param {Object} info - `{ limit, remaining, reset, retryAfter, window }`, with `reset` and
+   *   `retryAfter` in seconds or as Dates; a `RateLimiter#consume()` result works as is
+   * @returns {ResponseBuilder} Current instance
+   */
+  rateLimit(info) {
+    ResponseHelper.normalizeRateLimit(info);
+    this.rateLimitInfo = info;
+    return this;
+  }
+
+  /**
+   * Generate validators and evaluate conditional request headers (RFC 9110, section 13.2.2)
+   * @param {Object} processedBody - Processed response body
+   * @returns {Object} Processed body, or an empty 304 / 412 body when a precondition applies
+   */
+  #applyConditionalRequest(processedBody) {
+    if (this.statusCode < 200 || this.statusCode >= 300 || !processedBody) return processedBody;
+
+    const payload = ResponseHelper.serializeBody(processedBody.body);
+    const isStream = typeof payload.pipe === 'function';
+    const isPartial = this.statusCode === STATUS_CODES.partialContent;
+    if (this.etag && !isStream && !isPartial && this.#currentHeader('ETag') === undefined) {
+      this.#responseState.headers.set(
+        'ETag',
+        ResponseHelper.generateETag(payload, this.etag === 'weak')
+      );
+    }
+
+    const status = this.#evaluatePreconditions();
+    if (!status) return processedBody;
+
+    if (isStream) ResponseHelper.destroyStream(payload, true);
+    this.status(STATUS_CODES[status]);
+    this.#removeCurrentHeader('Content-Length');
+    if (this.#isProblem()) return this.#problemDetailsResponse(null);
+    return { body: '', type: processedBody.type };
+  }
+
+  /**
+   * Evaluate the request's preconditions against the current validators
+   * @returns {string|null} `notModified` or `preconditionFailed` when a precondition applies
+   */
+  #evaluatePreconditions() {
+    const etag = this.#currentHeader('ETag');
+    const lastModified = Date.parse(this.#currentHeader('Last-Modified'));
+    const headers = this.requestHeaders;
+    const isReadMethod = ['GET', 'HEAD'].includes(this.requestMethod.toUpperCase());
+    // HTTP dates have second precision
+    const notAfter = header => {
+      const date = Date.parse(header);
+      return !Number.isNaN(date) && Math.floor(lastModified / 1000) <= Math.floor(date / 1000);
+    };
+
+    let status = null;
+    if (headers['if-match'] !== undefined) {
+      if (!ResponseHelper.matchesETag(headers['if-match'], etag)) status = 'preconditionFailed';
+    } else if (headers['if-unmodified-since'] !== undefined && !Number.isNaN(lastModified)) {
+      if (!notAfter(headers['if-unmodified-since'])) status = 'preconditionFailed';
+    }
+
+    if (!status && headers['if-none-match'] !== undefined) {
+      if (ResponseHelper.matchesETag(headers['if-none-match'], etag, true)) {
+        status = isReadMethod ? 'notModified' : 'preconditionFailed';
+      }
+    } else if (!status && isReadMethod && headers['if-modified-since'] !== undefined) {
+      if (!Number.isNaN(lastModified) && notAfter(headers['if-modified-since'])) {
+        status = 'notModified';
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Enable content negotiation
+   * @param {string|Object} [accept] - `Accept` header value, or the request object itself
+   * @returns {ResponseBuilder} Current instance
+   */
+  negotiate(accept) {
+    if (typeof accept === 'string') {
+      this.requestHeaders = { ...this.requestHeaders, accept };
+    } else if (accept && typeof accept === 'object') {
+      this.request(accept);
+    }
+    this.negotiation = true;
+    return this;
+  }
+
+  /**
+   * Redirect to another URL (see `ResponseHelper.resolveRedirect` for how targets are checked).
+   * HTTP responses get a `Location` header and a short HTML or plain text body, depending on
+   * `Accept`; IPC and socket envelopes get a `location` member instead.
+   * @param {string|URL} url - Redirect target
+   * @param {Object} [options={}] - Redirect options
+   * @param {number} [options.status=302] - 301, 302, 303, 307 or 308
+   * @param {string|URL} [options.base] - Base URL of relative targets
+   * @param {Array<string|RegExp>} [options.allowedHosts] - Hosts allowed besides the base host
+   * @returns {Promise<Object>} Response promise
+   */
+  async redirect(url, options = {}) {
+    const { status = STATUS_CODES.found, ...target } = options;
+    if (!REDIRECT_STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid redirect status: ${status}. Must be one of: ${REDIRECT_STATUSES.join(', ')}`
+      );
+    }
+    const location = ResponseHelper.resolveRedirect(url, target);
+    this.status(status);
+    if (this.protocol !== PROTOCOLS.HTTP) return this.#send(null, {}, { location });
+
+    this.vary('Accept');
+    const headers = new HeaderStore({ Location: location });
+    const type = ResponseHelper.negotiateType(this.requestHeaders.accept, [
+      'text/plain',
+      'text/html',
+    ]);
+    if (type !== 'text/html') return this.#send(`Redirecting to ${location}`, {}, { headers });
+
+    const href = location
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    return this.#send(
+      `<!DOCTYPE html><html><head><title>Redirecting</title></head><body><p>Redirecting to <a href="${href}">${href}</a></p></body></html>`,
+      {},
+      { headers, type: 'text/html' }
+    );
+  }
+
+  /**
+   * Send a file from disk with its size, modification date, extension-based media type and a
+   * `Content-Disposition` header. HTTP responses stream the file instead of buffering it.
+   * @param {string} filePath - File to send, relative to `root` when given
+   * @param {Object} [options={}] - File options
+   * @param {string} [options.root] - Directory the file must be inside; `..` cannot escape it
+   * @param {string} [options.filename] - Name offered to the client (defaults to the file's name)
+   * @param {boolean} [options.inline=false] - Display inline instead of downloading
+   * @param {number} [options.maxAge] - `Cache-Control` max-age in seconds
+   * @param {boolean} [options.streaming] - Pass the file through as a stream (default for HTTP)
+   * @returns {Promise<Object>} Response promise
+   * @throws {ForbiddenError} When the path escapes `root`
+   * @throws {NotFoundError} When the path is not a regular file
+   */
+  async sendFile(filePath, options = {}) {
+    const { root, filename, inline = false, maxAge } = options;
+    const streaming = options.streaming ?? (this.protocol === PROTOCOLS.HTTP || this.streaming);
+
+    if (typeof filePath !== 'string' || !filePath || filePath.includes('\0')) {
+      throw this.#resolveStreamError(new ForbiddenError(`Invalid file path: ${filePath}`));
+    }
+
+    // Compare real paths so symlinks inside root cannot point outside it
+    let rootDir = null;
+    let fullPath;
+    let stats;
+    try {
+      if (root !== undefined) rootDir = await fsPromises.realpath(resolvePath(root));
+      fullPath = await fsPromises.realpath(
+        rootDir ? resolvePath(rootDir, filePath) : resolvePath(filePath)
+      );
+      if (rootDir && !fullPath.startsWith(rootDir.endsWith(sep) ? rootDir : rootDir + sep)) {
+        throw new ForbiddenError(`File path is outside the root directory: ${filePath}`);
+      }
+      stats = await fsPromises.stat(fullPath);
+    } catch (error) {
+      throw this.#resolveStreamError(error);
+    }
+    if (!stats.isFile()) {
+      throw this.#resolveStreamError(new NotFoundError(`Not a file: ${filePath}`));
+    }
+    if (maxAge !== undefined && (typeof maxAge !== 'number' || !(maxAge >= 0))) {
+      throw new Error(`Invalid maxAge: ${maxAge}. Must be a non-negative number of seconds`);
+    }
+
+    // File metadata belongs to this response only
+    const headers = new HeaderStore([
+      ['Content-Length', String(stats.size)],
+      [
+        'Content-Disposition',
+        ResponseHelper.contentDisposition(filename ?? basename(filePath), inline),
+      ],
+    ]);
+    if (!this.hasHeader('Last-Modified')) headers.set('Last-Modified', stats.mtime.toUTCString());
+    if (maxAge !== undefined && !this.hasHeader('Cache-Control')) {
+      headers.set('Cache-Control', `public, max-age=${Math.floor(maxAge)}`);
+    }
+    if (this.etag && !this.hasHeader('ETag')) {
+      const tag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+      headers.set('ETag', this.etag === 'weak' ? `W/${tag}` : tag);
+    }
+
+    return this.#send(
+      createReadStream(fullPath),
+      { streaming },
+      { headers, type: ResponseHelper.getMimeType(filePath) }
+    );
+  }
+
+  /**
+   * Answer a CORS preflight (`OPTIONS`) request with 204 and the `Access-Control-Allow-*`
+   * headers of the `cors` configuration
+   * @returns {Promise<Object>} Response promise
+   */
+  async preflight() {
+    if (!this.cors) this.cors = { ...CORS_DEFAULTS };
+    this.isPreflight = true;
+    return this.status(STATUS_CODES.noContent).send(null);
+  }
+
+  /**
+   * Resolve the `Access-Control-Allow-Origin` value for the request's origin
+   * @returns {Promise<string|null>} Allowed origin, or null when the origin is not allowed
+   */
+  async #resolveCorsOrigin() {
+    const { origin: allowed } = this.cors;
+    const origin = this.requestHeaders.origin;
+
+    if (allowed === '*') return '*';
+    if (!origin) return null;
+
+    if (typeof allowed === 'function') {
+      const result = await allowed(origin, this.requestHeaders);
+      if (typeof result === 'string') return result;
+      return result ? origin : null;
+    }
+
+    const matches = []
+      .concat(allowed)
+      .some(candidate =>
+        candidate instanceof RegExp ? candidate.test(origin) : candidate === origin
+      );
+    return matches ? origin : null;
+  }
+
+  /**
+   * Add CORS headers for the request's origin, including the preflight headers when answering
+   * a preflight request
+   */
+  async #applyCors() {
+    const { origin, credentials, methods, allowedHeaders, exposedHeaders, maxAge } = this.cors;
+    if (origin !== '*') this.vary('Origin');
+
+    const allowOrigin = await this.#resolveCorsOrigin();
+    if (!allowOrigin) return;
+
+    this.header('Access-Control-Allow-Origin', allowOrigin);
+    if (credentials) this.header('Access-Control-Allow-Credentials', 'true');
+
+    if (!this.isPreflight) {
+      if (exposedHeaders.length) {
+        this.header('Access-Control-Expose-Headers', [].concat(exposedHeaders).join(', '));
+      }
+      return;
+    }
+
+    this.header('Access-Control-Allow-Methods', [].concat(methods).join(', '));
+    const requestedHeaders = this.requestHeaders['access-control-request-headers'];
+    if (allowedHeaders === undefined) this.vary('Access-Control-Request-Headers');
+    const headers =
+      allowedHeaders === undefined ? requestedHeaders : [].concat(allowedHeaders).join(', ');
+    if (headers) this.header('Access-Control-Allow-Headers', headers);
+    if (maxAge !== undefined) this.header('Access-Control-Max-Age', String(maxAge));
+  }
+
+  /**
+   * Add a field to the `Vary` header without duplicating existing entries
+   * @param {string} field - Request header name the response varies on
+   * @returns {ResponseBuilder} Current instance
+   */
+  vary(field) {
+    const fields = (this.getHeader('Vary') || '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    if (!fields.some(value => value === '*' || value.toLowerCase() === field.toLowerCase())) {
+      fields.push(field);
+    }
+    this.#headers.set('Vary', fields.join(', '));
+    return this;
+  }
+
+  /**
+   * Select a representation of the processed body that the client accepts
+   * @param {Object} payload - Processed body metadata
+   * @returns {Object} Serialized body metadata, or a 406 body when nothing fits
+   */
+  #negotiateContent(payload) {
+    // The response varies on Accept even when this request sent none
+    this.vary('Accept');
+    const { accept } = this.requestHeaders;
+    if (!accept) return payload;
+
+    const structured =
+      payload.type === 'application/json' &&
+      payload.body !== null &&
+      typeof payload.body === 'object';
+    const serializers = structured
+      ? CONTENT_SERIALIZERS.filter(serializer => serializer.accepts(payload.body))
+      : [{ type: payload.type, serialize: body => body }];
+
+    const selected = ResponseHelper.negotiateType(
+      accept,
+      serializers.map(serializer => serializer.type)
+    );
+
+    if (!selected) {
+      this.status(STATUS_CODES.notAcceptable);
+      return {
+        body: `Not Acceptable. Supported types: ${serializers.map(({ type }) => type).join(', ')}`,
+        type: 'text/plain',
+      };
+    }
+
+    const serializer = serializers.find(({ type }) => type === selected);
+    return { body: serializer.serialize(payload.body), type: selected };
+  }
+
+  /**
+   * Enhanced body processing with consistent return types
+   * @param {*} body - The response body to process
+   * @param {Object} [options={}] - Send options
+   * @param {boolean} [options.streaming] - Per-call override of the streaming mode
+   * @returns {Promise<Object>} Always returns a promise for consistency
+   */
+  async #processBody(body, options = {}) {
+    // File streams only read the requested byte window
+    if (this.#acceptsRanges() && body instanceof ReadStream && typeof body.path === 'string') {
+      const ranged = await this.#handleFileRange(body, options);
+      if (ranged) return ranged;
+    }
+
+    // Check if the body is a stream
+    if (body && typeof body.pipe === 'function') {
+      return this.#processStream(body, options);
+    }
+
+    // Process non-stream responses
+    return this.#handleNonStreamResponse(body);
+  }
+
+  /**
+   * Buffer or pass through a stream body depending on the streaming mode
+   * @param {Stream} stream - Input stream
+   * @param {Object} [options={}] - Send options
+   * @returns {Promise<Object>} Processed stream response
+   */
+  async #processStream(stream, options = {}) {
+    const streaming = options.streaming !== undefined ? options.streaming : this.streaming;
+    const processed = streaming
+      ? this.#handleStreamPassThrough(stream)
+      : await this.#handleStreamResponse(stream);
+    const type = this.#contentTypeOverride();
+    return type ? { ...processed, type } : processed;
+  }
+
+  /**
+   * Whether byte ranges can be served for the current response
+   * @returns {boolean} True for successful HTTP responses with range support enabled
+   */
+  #acceptsRanges() {
+    return this.ranges && this.protocol === PROTOCOLS.HTTP && this.statusCode === STATUS_CODES.ok;
+  }
+
+  /**
+   * Resolve the ranges requested for a representation, honoring `If-Range`
+   * @param {number} size - Size of the full representation
+   * @returns {Array<{start: number, end: number}>|number|null} Parsed ranges, `-1` when
+   *   unsatisfiable, or null when the full representation should be sent
+   */
+  #requestedRanges(size) {
+    const { range, 'if-range': ifRange } = this.requestHeaders;
+    if (!range) return null;
+
+    if (ifRange !== undefined) {
+      const etag = this.#currentHeader('ETag');
+      const lastModified = this.#currentHeader('Last-Modified');
+      const isETag = /^(W\/)?"/.test(ifRange.trim());
+      const fresh = isETag
+        ? ResponseHelper.matchesETag(ifRange, etag)
+        : lastModified !== undefined && Date.parse(ifRange) === Date.parse(lastModified);
+      if (!fresh) return null;
+    }
+
+    const ranges = ResponseHelper.parseRange(size, range);
+    return ranges === -2 ? null : ranges;
+  }
+
+  /**
+   * Mark the response as unsatisfiable for the requested ranges
+   * @param {number} size - Size of the full representation
+   * @returns {Object} Processed empty 416 body
+   */
+  #rangeNotSatisfiable(size) {
+    this.status(STATUS_CODES.rangeNotSatisfiable);
+    this.header('Content-Range', `bytes */${size}`);
+    this.#removeCurrentHeader('Content-Length');
+    return { body: '', type: 'text/plain' };
+  }
+
+  /**
+   * Serve byte ranges of a file stream by re-opening only the requested windows
+   * @param {ReadStream} stream - File stream passed to `send()`
+   * @param {Object} [options={}] - Send options
+   * @returns {Promise<Object|null>} Processed body, or null to send the whole file
+   */
+  async #handleFileRange(stream, options = {}) {
+    this.header('Accept-Ranges', 'bytes');
+
+    let stats;
+    try {
+      stats = await fsPromises.stat(stream.path);
+    } catch {
+      // Let the regular stream handling surface the error
+      return null;
+    }
+
+    // Preconditions take precedence over Range; the conditional check answers 304 / 412
+    if (this.#evaluatePreconditions()) return null;
+
+    const ranges = this.#requestedRanges(stats.size);
+    if (!ranges) return null;
+
+    ResponseHelper.destroyStream(stream, true);
+    if (ranges === -1) return this.#rangeNotSatisfiable(stats.size);
+
+    this.status(STATUS_CODES.partialContent);
+    const type = this.#contentTypeOverride() || 'application/octet-stream';
+
+    if (ranges.length === 1) {
+      const [range] = ranges;
+      this.header('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+      if (this.#currentHeader('Content-Length') !== undefined) {
+        this.#responseState.headers.set('Content-Length', String(range.end - range.start + 1));
+      }
+      return this.#processStream(createReadStream(stream.path, range), options);
+    }
+
+    this.#removeCurrentHeader('Content-Length');
+    const boundary = randomBytes(12).toString('hex');
+    const path = stream.path;
+    const parts = async function* () {
+      for (const range of ranges) {
+        yield Buffer.from(ResponseHelper.byteRangePartHeader(boundary, type, range, stats.size));
+        yield* createReadStream(path, range);
+        yield Buffer.from('\r\n');
+      }
+      yield Buffer.from(`--${boundary}--\r\n`);
+    };
+
+    const processed = await this.#processStream(Readable.from(parts()), options);
+    return { ...processed, type: `multipart/byteranges; boundary=${boundary}` };
+  }
+
+  /**
+   * Serve byte ranges of a buffered body
+   * @param {Object} processedBody - Processed response body
+   * @returns {Object} Processed body, sliced to the requested ranges when applicable
+   */
+  #applyBufferRange(processedBody) {
+    if (!this.#acceptsRanges() || !processedBody || !Buffer.isBuffer(processedBody.body)) {
+      return processedBody;
+    }
+
+    this.header('Accept-Ranges', 'bytes');
+
+    const buffer = processedBody.body;
+    const ranges = this.#requestedRanges(buffer.length);
+    if (!ranges) return processedBody;
+    if (ranges === -1) return this.#rangeNotSatisfiable(buffer.length);
+
+    this.status(STATUS_CODES.partialContent);
+
+    if (ranges.length === 1) {
+      const [{ start, end }] = ranges;
+      this.header('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+      const slice = buffer.subarray(start, end + 1);
+      return { ...processedBody, body: slice, size: slice.length };
+    }
+
+    const boundary = randomBytes(12).toString('hex');
+    const body = Buffer.concat([
+      ...ranges.flatMap(range => [
+        Buffer.from(
+          ResponseHelper.byteRangePartHeader(boundary, processedBody.type, range, buffer.length)
+        ),
+        buffer.subarray(range.start, range.end + 1),
+        Buffer.from('\r\n'),
+      ]),
+      Buffer.from(`--${boundary}--\r\n`),
+    ]);
+    return {
+      ...processedBody,
+      body,
+      size: body.length,
+      type: `multipart/byteranges; boundary=${boundary}`,
+    };
+  }
+
+  /**
+   * Map a stream error to a response status and the error that should be surfaced
+   * @param {*} error - Error emitted by the source stream
+   * @returns {Error} Error to reject or destroy with
+   */
+  #resolveStreamError(error) {
+    // Handle custom error processing
+    if (typeof this.customErrorHandler === 'function') {
+      try {
+        const customError = this.customErrorHandler(error);
+        if (customError) {
+          return customError;
+        }
+      } catch (customHandlerError) {
+        return customHandlerError;
+      }
+    }
+
+    // Set appropriate status code based on error
+    const mapping = resolveErrorMapping(error, this.errorRegistry);
+    this.status(mapping ? mapping.statusCode : STATUS_CODES.internalServerError);
+
+    // Always surface a proper Error instance (errors from other realms count too)
+    const isError = error instanceof Error || utilTypes.isNativeError(error);
+    const finalError = isError ? error : new Error('Stream error');
+    if (!isError) {
+      finalError.original = error;
+    }
+    return finalError;
+  }
+
+  /**
+   * Enhanced stream handling with better error management and cleanup
+   * @param {Stream} stream - Input stream
+   * @returns {Promise<Object>} Processed stream response
+   */
+  #handleStreamResponse(stream) {
+    return new Promise((resolve, reject) => {
+      const payload = { chunks: [], totalBytes: 0 };
+      let isSettled = false;
+
+      // Enhanced timeout handling
+      const timeoutHandler = setTimeout(() => {
+        if (isSettled) return;
+        isSettled = true;
+
+        this.#cleanupStreamListeners(stream, { errorHandler, dataHandler, endHandler });
+        ResponseHelper.destroyStream(stream, true);
+        reject(new StreamTimeoutError(this.streamTimeout));
+      }, this.streamTimeout);
+
+      const errorHandler = error => {
+        if (isSettled) return;
+        isSettled = true;
+
+        clearTimeout(timeoutHandler);
+        this.#cleanupStreamListeners(stream, { dataHandler, endHandler });
+        ResponseHelper.destroyStream(stream, true);
+
+        reject(this.#resolveStreamError(error));
+      };
+
+      const dataHandler = chunk => {
+        if (isSettled) return;
+
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        payload.totalBytes += buffer.length;
+
+        // Check size limit
+        if (payload.totalBytes > this.maxStreamSize) {
+          isSettled = true;
+          clearTimeout(timeoutHandler);
+          this.#cleanupStreamListeners(stream, { errorHandler, endHandler });
+          ResponseHelper.destroyStream(stream, true);
+
+          const sizeError = new StreamSizeLimitError(this.maxStreamSize, payload.totalBytes);
+          setImmediate(() => reject(sizeError));
+          return;
+        }
+
+        payload.chunks.push(buffer);
+      };
+
+      const endHandler = () => {
+        if (isSettled) return;
+        isSettled = true;
+
+        clearTimeout(timeoutHandler);
+        this.#cleanupStreamListeners(stream, { errorHandler, dataHandler });
+
+        // Cleanup stream resources
+        try {
+          ResponseHelper.destroyStream(stream, true);
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.warn('Error during stream cleanup:', err.message);
+        }
 
         resolve({
           body: Buffer.concat(payload.chunks),
@@ -608,6 +3974,72 @@ class ResponseBuilder {
     });
   }
 
+  /**
+   * Streaming pass-through: the source is piped through a byte-counting transform
+   * that is returned as the response body. `streamTimeout` acts as an idle timeout
+   * and `maxStreamSize` is enforced while data flows.
+   * @param {Stream} stream - Input stream
+   * @returns {Object} Processed stream response with a Readable body
+   */
+  #handleStreamPassThrough(stream) {
+    let totalBytes = 0;
+    let idleTimer = null;
+
+    const clearIdleTimer = () => {
+      if (idleTimer) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+      }
+    };
+
+    const resetIdleTimer = () => {
+      clearIdleTimer();
+      idleTimer = setTimeout(() => {
+        body.destroy(new StreamTimeoutError(this.streamTimeout));
+      }, this.streamTimeout);
+    };
+
+    const body = new Transform({
+      transform: (chunk, encoding, callback) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+        totalBytes += buffer.length;
+
+        // Check size limit
+        if (totalBytes > this.maxStreamSize) {
+          callback(new StreamSizeLimitError(this.maxStreamSize, totalBytes));
+          return;
+        }
+
+        resetIdleTimer();
+        callback(null, buffer);
+      },
+      flush: callback => {
+        clearIdleTimer();
+        callback();
+      },
+    });
+
+    const errorHandler = error => {
+      body.destroy(this.#resolveStreamError(error));
+    };
+
+    stream.on('error', errorHandler);
+    body.once('close', () => {
+      clearIdleTimer();
+      this.#cleanupStreamListeners(stream, { errorHandler });
+
+      // Release the source when the consumer goes away or the body fails
+      if (!stream.readableEnded) {
+        ResponseHelper.destroyStream(stream, true);
+      }
+    });
+
+    resetIdleTimer();
+    stream.pipe(body);
+
+    return { body, type: 'application/octet-stream' };
+  }
+
   /**
    * Clean up stream event listeners
    * @param {Stream} stream - Stream to clean up
@@ -630,24 +4062,184 @@ class ResponseBuilder {
    * @returns {Object} Processed response
    */
   #handleNonStreamResponse(body) {
-    const payload = ResponseHelper.prepareBodyMetadata(body, this.contentTypeOverride);
+    let source = body;
+    let expose = true;
 
-    // Set error status for Error objects
+    // Set error status for Error objects. Unknown errors keep an error status chosen by the
+    // caller (500 otherwise), and only 4xx messages are exposed.
     if (body instanceof Error) {
-      this.status(STATUS_CODES.internalServerError);
+      const statusCode =
+        this.statusCode >= 400 ? this.statusCode : STATUS_CODES.internalServerError;
+      const mapping = resolveErrorMapping(body, this.errorRegistry) || {
+        statusCode,
+        expose: statusCode < 500,
+      };
+      this.status(mapping.statusCode);
+      expose = mapping.expose;
+      source = ResponseHelper.describeError(
+        body,
+        mapping,
+        Boolean(this.problemDetails && this.problemDetails.includeStack)
+      );
+      Object.entries(body.headers || {}).forEach(([name, value]) => {
+        if (!this.hasHeader(name)) this.#responseState.headers.set(name, value);
+      });
+    }
+
+    let payload = ResponseHelper.prepareBodyMetadata(source, this.#contentTypeOverride());
+
+    // Problem documents are built from the Error itself, without the describeError `name`
+    if (this.#isProblem()) {
+      payload = this.#problemDetailsResponse(body, expose);
+    }
+
+    payload = this.#validateBody(payload);
+
+    if (this.envelope && payload.type !== PROBLEM_CONTENT_TYPE && !Buffer.isBuffer(payload.body)) {
+      if (!ResponseHelper.isBodylessStatus(this.statusCode)) {
+        payload = this.#envelopeResponse(body == null ? null : payload.body);
+      }
+    }
+
+    if (this.negotiation && !this.#contentTypeOverride() && payload.type !== PROBLEM_CONTENT_TYPE) {
+      payload = this.#negotiateContent(payload);
+      if (this.#isProblem()) payload = this.#problemDetailsResponse(payload.body);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Wrap a processed body in the configured envelope format
+   * @param {*} body - Processed response body
+   * @returns {Object} Processed envelope body
+   */
+  #envelopeResponse(body) {
+    const wrapped =
+      typeof this.envelope === 'function'
+        ? ResponseHelper.prepareBodyMetadata(
+            this.envelope(body, { statusCode: this.statusCode, protocol: this.protocol })
+          )
+        : ENVELOPE_FORMATS[this.envelope](body, this.statusCode);
+    const type = this.#contentTypeOverride();
+    return type ? { ...wrapped, type } : wrapped;
+  }
+
+  /**
+   * Whether the current response should be rendered as problem details
+   * @returns {boolean} True when problem details are enabled and the status is 4xx/5xx
+   */
+  #isProblem() {
+    return Boolean(this.problemDetails) && this.statusCode >= 400;
+  }
+
+  /**
+   * Render a body as an `application/problem+json` document
+   * @param {*} body - Original response body
+   * @param {boolean} [expose=true] - Whether the message of an Error body may be sent
+   * @returns {Object} Processed problem details body
+   */
+  #problemDetailsResponse(body, expose = true) {
+    return {
+      body: ResponseHelper.createProblemDetails(body, this.statusCode, {
+        expose,
+        includeStack: this.problemDetails.includeStack,
+        instance: this.requestUrl,
+      }),
+      type: PROBLEM_CONTENT_TYPE,
+    };
+  }
+
+  /**
+   * Compress a processed body with the forced or negotiated content coding
+   * @param {Object} processedBody - Processed response body
+   * @returns {Promise<Object>} Processed body, compressed when applicable
+   */
+  async #compressBody(processedBody) {
+    if (!this.compression || !processedBody) return processedBody;
+    if (this.statusCode === STATUS_CODES.partialContent) return processedBody;
+    if (ResponseHelper.isBodylessStatus(this.statusCode)) return processedBody;
+    if (!ResponseHelper.isCompressible(processedBody.type)) return processedBody;
+    if (this.hasHeader('Content-Encoding')) {
+      return processedBody;
+    }
+
+    let { encoding } = this.compression;
+    if (!encoding) {
+      this.vary('Accept-Encoding');
+      encoding = ResponseHelper.negotiateEncoding(
+        this.requestHeaders['accept-encoding'],
+        this.compression.encodings.filter(coding => CONTENT_ENCODINGS[coding])
+      );
+    }
+    if (!encoding) return processedBody;
+
+    const codec = CONTENT_ENCODINGS[encoding];
+    const codecOptions = codec.options(this.compression.level);
+    const payload = ResponseHelper.serializeBody(processedBody.body);
+
+    // Pass-through streams are compressed on the fly
+    if (typeof payload.pipe === 'function') {
+      const compressor = codec.createStream(codecOptions);
+      payload.once('error', error => compressor.destroy(error));
+      compressor.once('close', () => {
+        if (!payload.readableEnded) ResponseHelper.destroyStream(payload, true);
+      });
+      this.#removeCurrentHeader('Content-Length');
+      return { ...processedBody, body: payload.pipe(compressor), encoding };
     }
 
-    return payload;
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    if (buffer.length < this.compression.threshold) return processedBody;
+
+    this.#removeCurrentHeader('Content-Length');
+    const compressed = await codec.compress(buffer, codecOptions);
+    return { ...processedBody, body: compressed, size: compressed.length, encoding };
   }
 
   /**
    * Enhanced send method with consistent async behavior
    * @param {*} [body=null] - Response body
+   * @param {Object} [options={}] - Send options
+   * @param {boolean} [options.streaming] - Return stream bodies as a Readable instead of a Buffer
+   * @returns {Promise<Object>} Response promise
+   */
+  async send(body = null, options = {}) {
+    return this.#send(body, options);
+  }
+
+  /**
+   * Send a response, seeding the per-response state
+   * @param {*} body - Response body
+   * @param {Object} options - Send options
+   * @param {Object} [state={}] - Per-response `headers` (a HeaderStore), media `type` and
+   *   redirect `location`
    * @returns {Promise<Object>} Response promise
    */
-  async send(body = null) {
+  async #send(body, options, state = {}) {
+    this.#responseState = { headers: new HeaderStore(), type: null, location: null, ...state };
+    const context = {
+      builder: this,
+      protocol: this.protocol,
+      body,
+      processedBody: null,
+      startedAt: Date.now(),
+      state: {},
+    };
+
     try {
-      const processedBody = await this.#processBody(body);
+      // Only yield before processing when needed, so stream listeners attach synchronously
+      const beforeHooks = this.#interceptorHooks('beforeProcess');
+      if (beforeHooks.length) await this.#runHooks(beforeHooks, context);
+
+      context.processedBody = await this.#processBody(context.body, options);
+      await this.#runHooks(this.#interceptorHooks('afterProcess'), context);
+      if (this.cors && this.protocol === PROTOCOLS.HTTP) await this.#applyCors();
+
+      let processedBody = await this.#compressBody(context.processedBody);
+      if (this.protocol === PROTOCOLS.HTTP) {
+        processedBody = this.#applyBufferRange(this.#applyConditionalRequest(processedBody));
+      }
 
       const protocolHandlers = {
         [PROTOCOLS.HTTP]: this.#httpResponse.bind(this),
@@ -655,6 +4247,10 @@ class ResponseBuilder {
         [PROTOCOLS.SOCKET]: this.#socketResponse.bind(this),
       };
 
+      // Custom formatters own their output shape, which may be a string or a promise
+      const customFormatter = customProtocols.get(this.protocol);
+      if (customFormatter) return await customFormatter(processedBody, this);
+
       const handler = protocolHandlers[this.protocol];
       if (!handler) {
         throw new Error(`Unsupported protocol: ${this.protocol}`);
@@ -666,12 +4262,19 @@ class ResponseBuilder {
       }
 
       return handler(processedBody);
-    } catch (error) {
+    } catch (caught) {
+      let error = caught;
+      const replacements = await this.#runHooks(this.#interceptorHooks('onError'), error, context);
+      replacements.forEach(replacement => {
+        if (replacement instanceof Error) error = replacement;
+      });
+
       // Enhance error with context
       if (
         error.name !== 'StreamTimeoutError' &&
         error.name !== 'StreamSizeLimitError' &&
-        error.name !== 'InvalidStatusCodeError'
+        error.name !== 'InvalidStatusCodeError' &&
+        error.name !== 'ResponseValidationError'
       ) {
         error.context = { protocol: this.protocol, statusCode: this.statusCode };
       }
@@ -679,19 +4282,83 @@ class ResponseBuilder {
     }
   }
 
+  /**
+   * Rate-limit metadata for the current status, with `reset` standing in for a missing
+   * `retryAfter` on 429 and 503 responses
+   * @returns {Object|null} Rate-limit metadata
+   */
+  #currentRateLimit() {
+    const info = this.rateLimitInfo;
+    if (!info) return null;
+    if (info.retryAfter == null && RETRYABLE_STATUSES.includes(this.statusCode)) {
+      return { ...info, retryAfter: info.reset };
+    }
+    return info;
+  }
+
+  /**
+   * Read a header of the response being sent, falling back to the builder's headers
+   * @param {string} name - Header name
+   * @returns {string|undefined} Header value
+   */
+  #currentHeader(name) {
+    return this.#responseState.headers.get(name) ?? this.getHeader(name);
+  }
+
+  /**
+   * Remove a header from the response being sent and from the builder
+   * @param {string} name - Header name
+   */
+  #removeCurrentHeader(name) {
+    this.#responseState.headers.delete(name);
+    this.removeHeader(name);
+  }
+
+  /**
+   * Media type forced for the response being sent, if any
+   * @returns {string|undefined} `contentType` option, or the per-response type
+   */
+  #contentTypeOverride() {
+    return this.contentTypeOverride || this.#responseState.type || undefined;
+  }
+
+  /**
+   * Merge default headers, the builder's headers, per-response headers and cookies into the
+   * response headers. Builder headers replace defaults regardless of casing.
+   * @param {Object} defaults - Headers derived from the processed body
+   * @param {HeaderStore} [responseHeaders] - Headers computed for this response only
+   * @returns {Object<string, string|string[]>} Response headers
+   */
+  #responseHeaders(defaults, responseHeaders) {
+    const headers = new HeaderStore(
+      Object.entries(defaults).filter(([, value]) => value !== undefined)
+    );
+    for (const [name, value] of this.#headers) headers.set(name, value);
+    if (responseHeaders) {
+      for (const [name, value] of responseHeaders) headers.set(name, value);
+    }
+    if (this.cookies.size > 0) headers.append('Set-Cookie', [...this.cookies.values()]);
+    return headers.toObject();
+  }
+
   /**
    * Enhanced HTTP response formatting
    * @param {Object} processedBody - Processed response body
    * @returns {Object} HTTP response
    */
   #httpResponse(processedBody) {
+    const rateLimit = this.#currentRateLimit();
     return {
       statusCode: this.statusCode,
-      headers: {
-        'Content-Type': processedBody.type,
-        'X-Response-Time': new Date().toISOString(),
-        ...this.headers,
-      },
+      statusMessage: ResponseHelper.getStatusMessage(this.statusCode),
+      headers: this.#responseHeaders(
+        {
+          'Content-Type': processedBody.type,
+          'Content-Encoding': processedBody.encoding || undefined,
+          ...(rateLimit && ResponseHelper.rateLimitHeaders(rateLimit)),
+        },
+        this.#responseState.headers
+      ),
       body: processedBody.body,
       ...(processedBody.size && { size: processedBody.size }),
     };
@@ -703,12 +4370,16 @@ class ResponseBuilder {
    * @returns {Object} IPC response
    */
   #ipcResponse(processedBody) {
+    const rateLimit = this.#currentRateLimit();
     return {
       statusCode: this.statusCode,
       body: processedBody.body,
       type: processedBody.type,
       timestamp: Date.now(),
       ...(processedBody.size && { size: processedBody.size }),
+      ...(processedBody.encoding && { encoding: processedBody.encoding }),
+      ...(rateLimit && { rateLimit: ResponseHelper.normalizeRateLimit(rateLimit) }),
+      ...(this.#responseState.location && { location: this.#responseState.location }),
     };
   }
 
@@ -718,12 +4389,16 @@ class ResponseBuilder {
    * @returns {Object} Socket response
    */
   #socketResponse(processedBody) {
+    const rateLimit = this.#currentRateLimit();
     return {
       statusCode: this.statusCode,
       message: processedBody.body,
       type: processedBody.type,
       timestamp: Date.now(),
       ...(processedBody.size && { size: processedBody.size }),
+      ...(processedBody.encoding && { encoding: processedBody.encoding }),
+      ...(rateLimit && { rateLimit: ResponseHelper.normalizeRateLimit(rateLimit) }),
+      ...(this.#responseState.location && { location: this.#responseState.location }),
     };
   }
 }
@@ -731,29 +4406,80 @@ class ResponseBuilder {
 /**
  * Enhanced protocol responders with improved error handling
  * @typedef {Object} ProtocolResponder
+ * @property {function(*, Object=): Promise<Object>} continue - 100 Continue
+ * @property {function(*, Object=): Promise<Object>} switchingProtocols - 101 Switching Protocols
+ * @property {function(*, Object=): Promise<Object>} processing - 102 Processing
+ * @property {function(*, Object=): Promise<Object>} earlyHints - 103 Early Hints
  * @property {function(*, Object=): Promise<Object>} ok - 200 OK
  * @property {function(*, Object=): Promise<Object>} created - 201 Created
  * @property {function(*, Object=): Promise<Object>} accepted - 202 Accepted
+ * @property {function(*, Object=): Promise<Object>} nonAuthoritativeInformation - 203 Non-Authoritative Information
  * @property {function(*, Object=): Promise<Object>} noContent - 204 No Content
+ * @property {function(*, Object=): Promise<Object>} resetContent - 205 Reset Content
+ * @property {function(*, Object=): Promise<Object>} partialContent - 206 Partial Content
+ * @property {function(*, Object=): Promise<Object>} multiStatus - 207 Multi-Status
+ * @property {function(*, Object=): Promise<Object>} alreadyReported - 208 Already Reported
+ * @property {function(*, Object=): Promise<Object>} imUsed - 226 IM Used
+ * @property {function(*, Object=): Promise<Object>} multipleChoices - 300 Multiple Choices
+ * @property {function(*, Object=): Promise<Object>} movedPermanently - 301 Moved Permanently
+ * @property {function(*, Object=): Promise<Object>} found - 302 Found
+ * @property {function(*, Object=): Promise<Object>} seeOther - 303 See Other
+ * @property {function(*, Object=): Promise<Object>} notModified - 304 Not Modified
+ * @property {function(*, Object=): Promise<Object>} useProxy - 305 Use Proxy
+ * @property {function(*, Object=): Promise<Object>} temporaryRedirect - 307 Temporary Redirect
+ * @property {function(*, Object=): Promise<Object>} permanentRedirect - 308 Permanent Redirect
  * @property {function(*, Object=): Promise<Object>} badRequest - 400 Bad Request
  * @property {function(*, Object=): Promise<Object>} unauthorized - 401 Unauthorized
+ * @property {function(*, Object=): Promise<Object>} paymentRequired - 402 Payment Required
  * @property {function(*, Object=): Promise<Object>} forbidden - 403 Forbidden
  * @property {function(*, Object=): Promise<Object>} notFound - 404 Not Found
  * @property {function(*, Object=): Promise<Object>} methodNotAllowed - 405 Method Not Allowed
+ * @property {function(*, Object=): Promise<Object>} notAcceptable - 406 Not Acceptable
+ * @property {function(*, Object=): Promise<Object>} proxyAuthenticationRequired - 407 Proxy Authentication Required
+ * @property {function(*, Object=): Promise<Object>} requestTimeout - 408 Request Timeout
  * @property {function(*, Object=): Promise<Object>} conflict - 409 Conflict
- * @property {function(*, Object=): Promise<Object>} unprocessableEntity - 422 Unprocessable Entity
+ * @property {function(*, Object=): Promise<Object>} gone - 410 Gone
+ * @property {function(*, Object=): Promise<Object>} lengthRequired - 411 Length Required
+ * @property {function(*, Object=): Promise<Object>} preconditionFailed - 412 Precondition Failed
+ * @property {function(*, Object=): Promise<Object>} contentTooLarge - 413 Content Too Large
+ * @property {function(*, Object=): Promise<Object>} uriTooLong - 414 URI Too Long
+ * @property {function(*, Object=): Promise<Object>} unsupportedMediaType - 415 Unsupported Media Type
+ * @property {function(*, Object=): Promise<Object>} rangeNotSatisfiable - 416 Range Not Satisfiable
+ * @property {function(*, Object=): Promise<Object>} expectationFailed - 417 Expectation Failed
+ * @property {function(*, Object=): Promise<Object>} misdirectedRequest - 421 Misdirected Request
+ * @property {function(*, Object=): Promise<Object>} unprocessableContent - 422 Unprocessable Content
+ * @property {function(*, Object=): Promise<Object>} unprocessableEntity - 422 Unprocessable Content (former name)
+ * @property {function(*, Object=): Promise<Object>} locked - 423 Locked
+ * @property {function(*, Object=): Promise<Object>} failedDependency - 424 Failed Dependency
+ * @property {function(*, Object=): Promise<Object>} tooEarly - 425 Too Early
+ * @property {function(*, Object=): Promise<Object>} upgradeRequired - 426 Upgrade Required
+ * @property {function(*, Object=): Promise<Object>} preconditionRequired - 428 Precondition Required
  * @property {function(*, Object=): Promise<Object>} tooManyRequests - 429 Too Many Requests
+ * @property {function(*, Object=): Promise<Object>} requestHeaderFieldsTooLarge - 431 Request Header Fields Too Large
+ * @property {function(*, Object=): Promise<Object>} unavailableForLegalReasons - 451 Unavailable For Legal Reasons
  * @property {function(*, Object=): Promise<Object>} internalServerError - 500 Internal Server Error
  * @property {function(*, Object=): Promise<Object>} notImplemented - 501 Not Implemented
  * @property {function(*, Object=): Promise<Object>} badGateway - 502 Bad Gateway
  * @property {function(*, Object=): Promise<Object>} serviceUnavailable - 503 Service Unavailable
  * @property {function(*, Object=): Promise<Object>} gatewayTimeout - 504 Gateway Timeout
+ * @property {function(*, Object=): Promise<Object>} httpVersionNotSupported - 505 HTTP Version Not Supported
+ * @property {function(*, Object=): Promise<Object>} variantAlsoNegotiates - 506 Variant Also Negotiates
+ * @property {function(*, Object=): Promise<Object>} insufficientStorage - 507 Insufficient Storage
+ * @property {function(*, Object=): Promise<Object>} loopDetected - 508 Loop Detected
+ * @property {function(*, Object=): Promise<Object>} notExtended - 510 Not Extended
+ * @property {function(*, Object=): Promise<Object>} networkAuthenticationRequired - 511 Network Authentication Required
+ * @property {function(Array, Object=, Object=): Promise<Object>} paginated - 200 OK with a
+ *   paginated body and navigation links
+ * @property {function((string|URL), Object=): Promise<Object>} redirect - 3xx redirect
  */
-const protocolExports = Object.entries(PROTOCOLS).reduce((accumulator, [_, protocolValue]) => {
-  /**
-   * @type {ProtocolResponder}
-   */
-  accumulator[`${protocolValue}Responder`] = Object.fromEntries(
+
+/**
+ * Build a responder exposing one method per status code for a protocol
+ * @param {string} protocolValue - Protocol name
+ * @returns {ProtocolResponder} Protocol responder
+ */
+function createProtocolResponder(protocolValue) {
+  const responder = Object.fromEntries(
     Object.entries(STATUS_CODES).map(([methodName, statusCode]) => [
       methodName,
       /**
@@ -779,9 +4505,723 @@ const protocolExports = Object.entries(PROTOCOLS).reduce((accumulator, [_, proto
       },
     ])
   );
+
+  /**
+   * Respond with a page of items. HTTP responses carry `Link` and `X-Total-Count` headers;
+   * other protocols have no headers, so `links` and `totalCount` are added to the envelope.
+   * @param {Array} items - Items of the current page
+   * @param {Object} [pagination={}] - Options for `ResponseHelper.paginate`
+   * @param {Object} [options={}] - Handler options
+   * @returns {Promise<Object>} Response promise
+   */
+  responder.paginated = async function (items, pagination = {}, options = {}) {
+    try {
+      const { body, links, total } = ResponseHelper.paginate(items, pagination);
+      const isHttp = protocolValue === PROTOCOLS.HTTP;
+      const linkHeader = ResponseHelper.formatLinkHeader(links);
+      const headers = isHttp
+        ? {
+            ...options.headers,
+            ...(linkHeader && { Link: linkHeader }),
+            ...(total !== undefined && { 'X-Total-Count': String(total) }),
+          }
+        : options.headers;
+
+      const response = await new ResponseBuilder({ ...options, headers, protocol: protocolValue })
+        .status(STATUS_CODES.ok)
+        .send(body);
+      if (isHttp || response === null || typeof response !== 'object') return response;
+      return { ...response, links, ...(total !== undefined && { totalCount: total }) };
+    } catch (error) {
+      error.method = 'paginated';
+      error.protocol = protocolValue;
+      throw error;
+    }
+  };
+
+  /**
+   * Redirect to another URL; see `ResponseBuilder#redirect`
+   * @param {string|URL} url - Redirect target
+   * @param {Object} [options={}] - Handler options plus `status`, `base` and `allowedHosts`
+   * @returns {Promise<Object>} Response promise
+   */
+  responder.redirect = async function (url, options = {}) {
+    const { status, base, allowedHosts, ...builderOptions } = options;
+    try {
+      return await new ResponseBuilder({ ...builderOptions, protocol: protocolValue }).redirect(
+        url,
+        { status, base, allowedHosts }
+      );
+    } catch (error) {
+      error.method = 'redirect';
+      error.protocol = protocolValue;
+      throw error;
+    }
+  };
+
+  return responder;
+}
+
+const protocolExports = Object.entries(PROTOCOLS).reduce((accumulator, [_, protocolValue]) => {
+  /**
+   * @type {ProtocolResponder}
+   */
+  accumulator[`${protocolValue}Responder`] = createProtocolResponder(protocolValue);
   return accumulator;
 }, {});
 
+/**
+ * Answer a CORS preflight request with 204
+ * @param {Object} request - Incoming request (or its headers)
+ * @param {Object} [options={}] - Handler options; `cors` defaults to allowing any origin
+ * @returns {Promise<Object>} Response promise
+ */
+protocolExports.httpResponder.preflight = async function (request, options = {}) {
+  try {
+    return await new ResponseBuilder({
+      ...options,
+      cors: options.cors || true,
+      request,
+      protocol: PROTOCOLS.HTTP,
+    }).preflight();
+  } catch (error) {
+    error.method = 'preflight';
+    error.protocol = PROTOCOLS.HTTP;
+    throw error;
+  }
+};
+
+/**
+ * Register a custom protocol with its own response formatter.
+ * The protocol becomes valid for `ResponseBuilder` and gets a `<name>Responder` export
+ * with a method for every status code.
+ * @param {string} name - Protocol name (letters, digits, `_` and `-`, starting with a letter)
+ * @param {function(Object, ResponseBuilder): *} formatter - Builds the response from the
+ *   processed body (`{ body, type, size, encoding }`) and the builder (`statusCode`,
+ *   `getHeaders()`). Its result, or what its promise resolves to, is returned unchanged
+ * @returns {ProtocolResponder} Responder for the new protocol
+ * @throws {Error} When the name is invalid, already registered, or its `<name>Responder` key
+ *   is already exported (e.g. `koa` or `express`)
+ * @throws {TypeError} When the formatter is not a function
+ */
+function registerProtocol(name, formatter) {
+  if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid protocol name: ${name}`);
+  }
+  if (listProtocols().includes(name)) {
+    throw new Error(`Protocol already registered: ${name}`);
+  }
+  if (Object.prototype.hasOwnProperty.call(module.exports, `${name}Responder`)) {
+    throw new Error(`Protocol name conflicts with the ${name}Responder export: ${name}`);
+  }
+  if (typeof formatter !== 'function') {
+    throw new TypeError('Protocol formatter must be a function');
+  }
+
+  customProtocols.set(name, formatter);
+  const responder = createProtocolResponder(name);
+  module.exports[`${name}Responder`] = responder;
+  return responder;
+}
+
+/**
+ * Write a ResponseBuilder HTTP response to a Node.js `http.ServerResponse`
+ * @param {http.ServerResponse} res - Node.js server response (also works for Express `res`)
+ * @param {Object} response - Response produced by `ResponseBuilder#send` or `httpResponder`
+ * @returns {Promise<void>} Resolves once the response has been fully written, or once the
+ *   client has gone away (long-lived streams such as event streams usually end that way)
+ */
+function toNodeResponse(res, response) {
+  return new Promise((resolve, reject) => {
+    if (!res || typeof res.setHeader !== 'function' || typeof res.end !== 'function') {
+      reject(new TypeError('toNodeResponse expects an http.ServerResponse'));
+      return;
+    }
+    if (res.headersSent) {
+      reject(new Error('Cannot write response: headers already sent'));
+      return;
+    }
+    if (!response || !ResponseHelper.isValidStatusCode(response.statusCode)) {
+      reject(new InvalidStatusCodeError(response && response.statusCode));
+      return;
+    }
+
+    res.statusCode = response.statusCode;
+    if (response.statusMessage) res.statusMessage = response.statusMessage;
+    Object.entries(response.headers || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        res.setHeader(name, value);
+      }
+    });
+    if (!res.hasHeader('Content-Type') && response.type) {
+      res.setHeader('Content-Type', response.type);
+    }
+
+    const omitBody =
+      ResponseHelper.isBodylessStatus(response.statusCode) ||
+      (res.req && res.req.method === 'HEAD');
+    const payload = ResponseHelper.serializeBody(response.body);
+
+    // Stream bodies are piped, and the source is released if the client goes away
+    if (payload && typeof payload.pipe === 'function') {
+      if (omitBody) {
+        ResponseHelper.destroyStream(payload, true);
+        res.end(resolve);
+        return;
+      }
+
+      payload.once('error', error => {
+        res.destroy(error);
+        reject(error);
+      });
+      res.once('close', () => {
+        if (res.writableFinished) return;
+        ResponseHelper.destroyStream(payload, true);
+        resolve();
+      });
+      res.once('finish', resolve);
+      payload.pipe(res);
+      return;
+    }
+
+    if (omitBody) {
+      res.end(resolve);
+      return;
+    }
+
+    if (!res.hasHeader('Content-Length')) {
+      res.setHeader('Content-Length', Buffer.byteLength(payload));
+    }
+    res.end(payload, resolve);
+  });
+}
+
+/**
+ * Express middleware that adds `res.respond(response)`
+ * @returns {function(Object, Object, function): void} Express middleware
+ * @example
+ * app.use(expressResponder());
+ * app.get('/users/:id', async (req, res) => res.respond(httpResponder.ok(user)));
+ */
+function expressResponder() {
+  return function rapidResponder(req, res, next) {
+    /**
+     * @param {Object|Promise<Object>} response - Response or a promise of one
+     * @returns {Promise<void>} Resolves once the response has been written
+     */
+    res.respond = async response => toNodeResponse(res, await response);
+    next();
+  };
+}
+
+/**
+ * Apply a ResponseBuilder HTTP response to a Koa context
+ * @param {Object} ctx - Koa context
+ * @param {Object} response - Response produced by `ResponseBuilder#send` or `httpResponder`
+ * @returns {Object} The Koa context
+ */
+function bindKoaContext(ctx, response) {
+  if (!response || !ResponseHelper.isValidStatusCode(response.statusCode)) {
+    throw new InvalidStatusCodeError(response && response.statusCode);
+  }
+
+  ctx.status = response.statusCode;
+  Object.entries(response.headers || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      ctx.set(name, value);
+    }
+  });
+  const hasContentType = Object.keys(response.headers || {}).some(
+    name => name.toLowerCase() === 'content-type'
+  );
+  if (response.type && !hasContentType) {
+    ctx.set('Content-Type', response.type);
+  }
+
+  // Koa sets headers from the body type, so content type is set before the body
+  ctx.body = ResponseHelper.isBodylessStatus(response.statusCode)
+    ? null
+    : ResponseHelper.serializeBody(response.body);
+
+  return ctx;
+}
+
+/**
+ * Koa middleware that adds `ctx.respondWith(response)`
+ * (`ctx.respond` is reserved by Koa to bypass its response handling)
+ * @returns {function(Object, function): Promise<void>} Koa middleware
+ */
+function koaResponder() {
+  return async function rapidResponder(ctx, next) {
+    /**
+     * @param {Object|Promise<Object>} response - Response or a promise of one
+     * @returns {Promise<Object>} The Koa context
+     */
+    ctx.respondWith = async response => bindKoaContext(ctx, await response);
+    await next();
+  };
+}
+
+/**
+ * Whether a value is already a responder envelope
+ * @param {*} value - Value returned by a transport handler
+ * @param {string} [bodyKey='body'] - Payload member of the envelope (`message` for sockets)
+ * @returns {boolean} True when the value carries statusCode, payload and timestamp
+ */
+function isResponseEnvelope(value, bodyKey = 'body') {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    ResponseHelper.isValidStatusCode(value.statusCode) &&
+    bodyKey in value &&
+    'timestamp' in value
+  );
+}
+
+/**
+ * Run a transport handler and turn its result or thrown error into a response envelope.
+ * Plain return values are sent as 200 responses, returned envelopes are passed through and
+ * thrown errors are mapped like `send(error)`: through the error registries or their
+ * `statusCode`/`status`, and 500 with the message hidden otherwise.
+ * @param {string} protocol - Protocol of the produced envelope
+ * @param {function(): *} run - Invokes the handler
+ * @param {Object} [options={}] - ResponseBuilder options for the produced envelopes
+ * @param {boolean} [options.includeStack] - Include stacks of thrown errors (defaults to true
+ *   when NODE_ENV is development)
+ * @returns {Promise<Object>} Response envelope
+ */
+async function respondFromHandler(protocol, run, options = {}) {
+  const { includeStack = process.env.NODE_ENV === 'development', ...builderOptions } = options;
+  const builder = () => new ResponseBuilder({ ...builderOptions, protocol });
+  const bodyKey = protocol === PROTOCOLS.SOCKET ? 'message' : 'body';
+
+  try {
+    const result = await run();
+    return isResponseEnvelope(result, bodyKey) ? result : await builder().send(result);
+  } catch (caught) {
+    const error = caught instanceof Error ? caught : new Error(String(caught));
+    const errorBuilder = builder();
+    const mapping = resolveErrorMapping(error, errorBuilder.errorRegistry) || {
+      statusCode: STATUS_CODES.internalServerError,
+      expose: false,
+    };
+    return errorBuilder
+      .status(mapping.statusCode)
+      .headers(error.headers)
+      .send(ResponseHelper.describeError(error, mapping, includeStack));
+  }
+}
+
+/**
+ * Wrap an Electron `ipcMain.handle` listener so it always resolves to a clone-safe
+ * ipcResponder envelope (see `respondFromHandler` for how results and errors are mapped)
+ * @param {function(Object, ...*): *} handler - Listener receiving the IPC event and arguments
+ * @param {Object} [options={}] - ResponseBuilder options plus `includeStack`
+ * @returns {function(Object, ...*): Promise<Object>} Listener for `ipcMain.handle`
+ */
+function createIpcMainHandler(handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError('IPC handler must be a function');
+  }
+
+  return async function rapidIpcHandler(event, ...args) {
+    const envelope = await respondFromHandler(
+      PROTOCOLS.IPC,
+      () => handler(event, ...args),
+      options
+    );
+    return ResponseHelper.encodeCloneSafe(envelope);
+  };
+}
+
+/**
+ * Register a handler on Electron's `ipcMain` that answers with ipcResponder envelopes
+ * @param {Object} ipcMain - Electron `ipcMain` (or any object with `handle`/`removeHandler`)
+ * @param {string} channel - IPC channel name
+ * @param {function(Object, ...*): *} handler - Listener receiving the IPC event and arguments
+ * @param {Object} [options={}] - Options forwarded to `createIpcMainHandler`
+ * @returns {function(): void} Function removing the handler
+ */
+function handleIpc(ipcMain, channel, handler, options = {}) {
+  if (!ipcMain || typeof ipcMain.handle !== 'function') {
+    throw new TypeError('handleIpc expects an ipcMain-like object with a handle() method');
+  }
+  ipcMain.handle(channel, createIpcMainHandler(handler, options));
+  return () => ipcMain.removeHandler(channel);
+}
+
+/**
+ * Decode an envelope received over IPC, throwing for non-2xx responses
+ * @param {Object} envelope - Clone-safe envelope produced by `createIpcMainHandler`
+ * @returns {Object} Decoded envelope
+ * @throws {IpcResponseError} When the status code is outside the 2xx range
+ */
+function decodeIpcResponse(envelope) {
+  const decoded = ResponseHelper.decodeCloneSafe(envelope);
+  if (!isResponseEnvelope(decoded)) {
+    throw new TypeError('Invalid IPC response envelope');
+  }
+  if (decoded.statusCode < 200 || decoded.statusCode >= 300) {
+    throw new IpcResponseError(decoded);
+  }
+  return decoded;
+}
+
+/**
+ * Invoke a channel from the renderer and resolve with the decoded response body
+ * @param {Object} ipcRenderer - Electron `ipcRenderer` (or any object with `invoke`)
+ * @param {string} channel - IPC channel name
+ * @param {...*} args - Arguments forwarded to the main process handler
+ * @returns {Promise<*>} Decoded response body
+ * @throws {IpcResponseError} When the main process answered with a non-2xx status
+ */
+async function invokeIpc(ipcRenderer, channel, ...args) {
+  return decodeIpcResponse(await ipcRenderer.invoke(channel, ...args)).body;
+}
+
+/**
+ * Read the correlation ID of a socket request payload
+ * @param {*} payload - Request payload
+ * @param {string} idField - Payload member holding the ID
+ * @returns {*} Correlation ID, undefined when absent
+ */
+function getCorrelationId(payload, idField) {
+  return payload !== null && typeof payload === 'object' && !Array.isArray(payload)
+    ? payload[idField]
+    : undefined;
+}
+
+/**
+ * Add the correlation ID and per-socket defaults to a socketResponder envelope
+ * @param {Object} envelope - socketResponder envelope
+ * @param {*} id - Correlation ID of the request
+ * @param {Object} socket - Socket the reply is sent on
+ * @param {Object} defaults - `headers` and `meta` as objects or functions of the socket
+ * @returns {Object} Reply envelope
+ */
+function buildSocketReply(envelope, id, socket, defaults) {
+  const resolve = option => (typeof option === 'function' ? option(socket) : option);
+  const headers = { ...resolve(defaults.headers), ...envelope.headers };
+  const meta = resolve(defaults.meta);
+  return {
+    ...(id !== undefined && { id }),
+    ...envelope,
+    ...(Object.keys(headers).length > 0 && { headers }),
+    ...(meta && { meta }),
+  };
+}
+
+/**
+ * Report a reply that could not be built or sent. Socket and RPC listeners run detached from
+ * the caller, so failures go to `onError` (or a warning) instead of becoming unhandled
+ * rejections.
+ * @param {function(Error, Object): void} [onError] - Adapter `onError` option
+ * @param {Error} error - Failure raised while building or sending the reply
+ * @param {Object} context - Request context passed to `onError`
+ * @param {string} [transport='Socket'] - Transport named in the warning
+ */
+function reportReplyError(onError, error, context, transport = 'Socket') {
+  if (typeof onError === 'function') {
+    onError(error, context);
+    return;
+  }
+  // eslint-disable-next-line no-console
+  console.warn(`${transport} reply failed:`, error.message);
+}
+
+/**
+ * Bind a Socket.IO event handler that answers with socketResponder envelopes. The reply goes
+ * through the acknowledgement callback when the client passed one, and is emitted on
+ * `replyEvent` otherwise. Buffer bodies stay Buffers so Socket.IO sends them as binary
+ * attachments.
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} event - Event name
+ * @param {function(*, Object): *} handler - Receives the payload and `{ socket, event, id }`
+ * @param {Object} [options={}] - ResponseBuilder options plus `includeStack` and:
+ * @param {Object|function(Object): Object} [options.headers] - Default reply headers
+ * @param {Object|function(Object): Object} [options.meta] - Metadata added to every reply
+ * @param {string} [options.idField='id'] - Payload member holding the correlation ID
+ * @param {string} [options.replyEvent] - Event used without an ack (default `<event>:response`)
+ * @param {function(Error, Object): void} [options.onError] - Receives errors thrown while
+ *   building or sending a reply, with `{ socket, event, id }` (a warning is logged by default)
+ * @returns {function(): void} Function removing the listener
+ */
+function bindSocketIo(socket, event, handler, options = {}) {
+  if (!socket || typeof socket.on !== 'function') {
+    throw new TypeError('bindSocketIo expects a Socket.IO socket');
+  }
+  if (typeof handler !== 'function') {
+    throw new TypeError('Socket handler must be a function');
+  }
+  const {
+    headers,
+    meta,
+    idField = 'id',
+    replyEvent = `${event}:response`,
+    onError,
+    ...responseOptions
+  } = options;
+
+  const listener = async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const payload = args.length > 1 ? args : args[0];
+    const id = getCorrelationId(payload, idField);
+    try {
+      const envelope = await respondFromHandler(
+        PROTOCOLS.SOCKET,
+        () => handler(payload, { socket, event, id }),
+        responseOptions
+      );
+      const reply = buildSocketReply(envelope, id, socket, { headers, meta });
+      if (ack) ack(reply);
+      else socket.emit(replyEvent, reply);
+    } catch (error) {
+      reportReplyError(onError, error, { socket, event, id });
+    }
+  };
+
+  socket.on(event, listener);
+  return () => socket.off(event, listener);
+}
+
+/**
+ * Parse a `ws` message into a request. Text frames are JSON `{ id, event, data }`; binary
+ * frames use the `encodeSocketFrame` layout with the payload as `data`.
+ * @param {Buffer|ArrayBuffer|Buffer[]|string} data - Message data
+ * @param {boolean} isBinary - Whether the message was a binary frame
+ * @returns {Object} Request with `id`, `event` and `data`
+ */
+function parseWebSocketRequest(data, isBinary) {
+  let bytes = data;
+  if (Array.isArray(data)) bytes = Buffer.concat(data);
+  else if (!Buffer.isBuffer(data)) bytes = Buffer.from(data);
+
+  if (isBinary) {
+    const { header, payload } = ResponseHelper.decodeSocketFrame(bytes);
+    return { ...header, data: payload };
+  }
+  const request = JSON.parse(bytes.toString());
+  if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+    throw new TypeError('Socket request must be a JSON object');
+  }
+  return request;
+}
+
+/**
+ * Bind a `ws` message handler that answers every request with a correlated socketResponder
+ * envelope. Replies with Buffer bodies are sent as a single binary frame (see
+ * `ResponseHelper.encodeSocketFrame`), everything else as a JSON text frame. Malformed
+ * requests are answered with a 400 envelope.
+ * @param {Object} ws - `ws` WebSocket
+ * @param {function(*, Object): *} handler - Receives `data` and `{ socket, event, id }`
+ * @param {Object} [options={}] - ResponseBuilder options plus `includeStack`, `headers`,
+ *   `meta`, `idField` and `onError` as for `bindSocketIo`
+ * @returns {function(): void} Function removing the listener
+ */
+function bindWebSocket(ws, handler, options = {}) {
+  if (!ws || typeof ws.on !== 'function' || typeof ws.send !== 'function') {
+    throw new TypeError('bindWebSocket expects a ws WebSocket');
+  }
+  if (typeof handler !== 'function') {
+    throw new TypeError('Socket handler must be a function');
+  }
+  const { headers, meta, idField = 'id', onError, ...responseOptions } = options;
+
+  const listener = async (data, isBinary = Buffer.isBuffer(data)) => {
+    let request = {};
+    let parseError = null;
+    try {
+      request = parseWebSocketRequest(data, isBinary);
+    } catch (err) {
+      parseError = Object.assign(new Error(`Invalid socket request: ${err.message}`), {
+        statusCode: STATUS_CODES.badRequest,
+      });
+    }
+
+    const id = request[idField];
+    try {
+      const envelope = await respondFromHandler(
+        PROTOCOLS.SOCKET,
+        () => {
+          if (parseError) throw parseError;
+          return handler(request.data, { socket: ws, event: request.event, id });
+        },
+        responseOptions
+      );
+
+      // Drop replies for sockets that closed while the handler was running
+      if (ws.readyState !== (ws.OPEN ?? 1)) return;
+      const reply = buildSocketReply(envelope, id, ws, { headers, meta });
+      if (Buffer.isBuffer(reply.message)) {
+        const { message, ...header } = reply;
+        ws.send(ResponseHelper.encodeSocketFrame(header, message), { binary: true });
+      } else {
+        ws.send(JSON.stringify(reply), { binary: false });
+      }
+    } catch (error) {
+      reportReplyError(onError, error, { socket: ws, event: request.event, id });
+    }
+  };
+
+  ws.on('message', listener);
+  return () => ws.off('message', listener);
+}
+
+/**
+ * Normalize a child process, `process`, Worker or MessagePort into a message channel
+ * @param {Object} target - Object with `postMessage` or `send` and a `message` event
+ * @returns {{binary: boolean, send: function(Object, ArrayBuffer[]): void}} Channel; `binary`
+ *   is true for structured-clone transports that accept transfer lists
+ */
+function createRpcChannel(target) {
+  if (!target || typeof target.on !== 'function') {
+    throw new TypeError('IPC RPC expects a ChildProcess, process, Worker or MessagePort');
+  }
+  if (typeof target.postMessage === 'function') {
+    return {
+      binary: true,
+      send: (message, transferList) => target.postMessage(message, transferList),
+    };
+  }
+  if (typeof target.send === 'function') {
+    return { binary: false, send: message => target.send(message) };
+  }
+  throw new TypeError('IPC RPC target has neither postMessage() nor send()');
+}
+
+/**
+ * Answer RPC requests arriving on a child process, `process`, Worker or MessagePort with
+ * ipcResponder envelopes (see `respondFromHandler` for how results and errors are mapped).
+ * Unknown methods are answered with 404.
+ * @param {Object} target - Channel to serve, e.g. `process` in a forked child or `parentPort`
+ * @param {Object<string, function(...*): *>} handlers - Handlers keyed by method name
+ * @param {Object} [options={}] - ResponseBuilder options plus `includeStack` and:
+ * @param {boolean} [options.transfer=true] - Transfer reply Buffers zero-copy over MessagePorts
+ * @param {function(Error, Object): void} [options.onError] - Receives errors thrown while
+ *   building or encoding a reply, with `{ method, id }` (a warning is logged by default)
+ * @returns {function(): void} Function that stops serving
+ */
+function serveIpc(target, handlers, options = {}) {
+  const channel = createRpcChannel(target);
+  if (!handlers || typeof handlers !== 'object') {
+    throw new TypeError('serveIpc expects an object of handlers keyed by method name');
+  }
+  const { transfer = true, onError, ...responseOptions } = options;
+
+  const listener = async message => {
+    if (!message || message[RPC_TAG] !== 'request') return;
+
+    const { id, method } = message;
+    let encoded;
+    let transferList;
+    try {
+      const envelope = await respondFromHandler(
+        PROTOCOLS.IPC,
+        () => {
+          if (!Object.prototype.hasOwnProperty.call(handlers, method)) {
+            throw Object.assign(new Error(`Unknown IPC method: ${method}`), {
+              statusCode: STATUS_CODES.notFound,
+            });
+          }
+          return handlers[method](...ResponseHelper.decodeCloneSafe(message.args));
+        },
+        responseOptions
+      );
+      transferList = channel.binary && transfer ? [] : undefined;
+      encoded = ResponseHelper.encodeCloneSafe(envelope, { transferList });
+    } catch (error) {
+      reportReplyError(onError, error, { method, id }, 'IPC');
+      return;
+    }
+
+    try {
+      channel.send({ [RPC_TAG]: 'response', id, envelope: encoded }, transferList);
+    } catch (err) {
+      // The caller is gone (disconnected process or closed port); there is nobody to answer
+    }
+  };
+
+  target.on('message', listener);
+  return () => target.off('message', listener);
+}
+
+/**
+ * Create an RPC client for a child process, `process`, Worker or MessagePort served by
+ * `serveIpc`. Requests are matched to their envelopes by correlation ID, time out after
+ * `streamTimeout` and reject with `IpcResponseError` for non-2xx envelopes.
+ * @param {Object} target - Channel to call, e.g. a forked ChildProcess or a Worker
+ * @param {Object} [options={}] - Client options
+ * @param {number} [options.streamTimeout] - Per-request timeout in ms (default 30 seconds)
+ * @param {boolean} [options.transfer=true] - Transfer argument Buffers zero-copy over
+ *   MessagePorts (the caller's Buffers become detached)
+ * @returns {{request: function(string, ...*): Promise<*>, close: function(): void}} Client
+ */
+function createIpcClient(target, options = {}) {
+  const channel = createRpcChannel(target);
+  const { streamTimeout = DEFAULT_STREAM_TIMEOUT, transfer = true } = options;
+  const pending = new Map();
+
+  const settle = (id, callback) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    callback(entry);
+  };
+  const rejectAll = error => [...pending.keys()].forEach(id => settle(id, e => e.reject(error)));
+
+  const onMessage = message => {
+    if (!message || message[RPC_TAG] !== 'response') return;
+    settle(message.id, entry => {
+      try {
+        entry.resolve(decodeIpcResponse(message.envelope).body);
+      } catch (err) {
+        entry.reject(err);
+      }
+    });
+  };
+  const onExit = code => rejectAll(new Error(`IPC target exited with code ${code}`));
+
+  target.on('message', onMessage);
+  target.on('exit', onExit);
+
+  return {
+    /**
+     * Call a method on the other side
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments, encoded with `encodeCloneSafe`
+     * @returns {Promise<*>} Decoded response body
+     */
+    request(method, ...args) {
+      return new Promise((resolve, reject) => {
+        const id = randomUUID();
+        const timer = setTimeout(
+          () => settle(id, entry => entry.reject(new IpcTimeoutError(method, streamTimeout))),
+          streamTimeout
+        );
+        pending.set(id, { resolve, reject, timer });
+
+        try {
+          const transferList = channel.binary && transfer ? [] : undefined;
+          const encoded = ResponseHelper.encodeCloneSafe(args, { transferList });
+          channel.send({ [RPC_TAG]: 'request', id, method, args: encoded }, transferList);
+        } catch (err) {
+          settle(id, entry => entry.reject(err));
+        }
+      });
+    },
+
+    /**
+     * Stop listening and reject outstanding requests
+     */
+    close() {
+      target.off('message', onMessage);
+      target.off('exit', onExit);
+      rejectAll(new Error('IPC client closed'));
+    },
+  };
+}
+
 /**
  * Collection of usage examples for the ResponseBuilder module.
  *
@@ -996,12 +5436,59 @@ const protocolExports = Object.entries(PROTOCOLS).reduce((accumulator, [_, proto
 module.exports = {
   ResponseBuilder,
   ResponseHelper,
+  EventStream,
+  HeaderStore,
+  RateLimiter,
   PROTOCOLS,
   STATUS_CODES,
+  STATUS_MESSAGES,
+  registerProtocol,
+  listProtocols,
+  // Export interceptors
+  InterceptorRegistry,
+  interceptors,
+  responseTimeInterceptor,
+  requestIdInterceptor,
+  securityHeadersInterceptor,
   // Export custom error classes
   StreamTimeoutError,
   StreamSizeLimitError,
   InvalidStatusCodeError,
+  ResponseValidationError,
+  InvalidHeaderError,
+  IpcResponseError,
+  IpcTimeoutError,
+  UnsafeRedirectError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  ValidationError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+  // Export error mapping
+  ErrorRegistry,
+  errorRegistry,
+  // Export framework adapters
+  toNodeResponse,
+  expressResponder,
+  bindKoaContext,
+  koaResponder,
+  // Export Electron IPC helpers
+  createIpcMainHandler,
+  handleIpc,
+  decodeIpcResponse,
+  invokeIpc,
+  // Export socket adapters
+  bindSocketIo,
+  bindWebSocket,
+  // Export process and worker RPC
+  serveIpc,
+  createIpcClient,
   // Export protocol responders
   ...protocolExports,
 };
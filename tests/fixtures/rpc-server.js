@@ -0,0 +1,15 @@
+// Serves the RPC methods used by the process/worker tests, either as a forked child or a Worker
+const { parentPort } = require('worker_threads');
+const { serveIpc } = require('../../src');
+
+serveIpc(parentPort || process, {
+  echo: value => value,
+  reverse: buffer => Buffer.from(buffer).reverse(),
+  fail: () => {
+    throw Object.assign(new Error('Quota exceeded'), { statusCode: 429, code: 'E_QUOTA' });
+  },
+  leak: () => {
+    throw Object.assign(new Error('db password=hunter2'), { query: 'SELECT *', code: 'E_DB' });
+  },
+  slow: ms => new Promise(resolve => setTimeout(() => resolve('late'), ms)),
+});
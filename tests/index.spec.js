@@ -1,13 +1,56 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const { Readable } = require('stream');
+const { fork } = require('child_process');
 const { ReadStream } = require('fs');
+const v8 = require('v8');
+const { Worker } = require('worker_threads');
 const Zlib = require('zlib');
 const {
   ResponseBuilder,
   ResponseHelper,
+  EventStream,
   PROTOCOLS,
+  STATUS_CODES,
+  STATUS_MESSAGES,
+  ResponseValidationError,
+  InvalidHeaderError,
+  HeaderStore,
+  IpcResponseError,
+  IpcTimeoutError,
+  UnsafeRedirectError,
+  HttpError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  ValidationError,
+  ServiceUnavailableError,
+  TooManyRequestsError,
+  ErrorRegistry,
+  errorRegistry,
+  RateLimiter,
+  InterceptorRegistry,
+  interceptors,
+  responseTimeInterceptor,
+  requestIdInterceptor,
+  securityHeadersInterceptor,
   httpResponder,
   ipcResponder,
   socketResponder,
+  toNodeResponse,
+  expressResponder,
+  bindKoaContext,
+  koaResponder,
+  createIpcMainHandler,
+  handleIpc,
+  decodeIpcResponse,
+  invokeIpc,
+  bindSocketIo,
+  bindWebSocket,
+  serveIpc,
+  createIpcClient,
 } = require('../src');
 
 describe('ResponseHelper', () => {
@@ -194,6 +237,65 @@ describe('ResponseHelper', () => {
   });
 });
 
+describe('content negotiation helpers', () => {
+  it('parses Accept headers by q-value', () => {
+    const ranges = ResponseHelper.parseAccept('text/html;q=0.5, application/json, */*;q=0.1');
+    expect(ranges.map(({ type, subtype, q }) => [`${type}/${subtype}`, q])).toEqual([
+      ['application/json', 1],
+      ['text/html', 0.5],
+      ['*/*', 0.1],
+    ]);
+  });
+
+  it('negotiates the best available type', () => {
+    const available = ['application/json', 'application/xml', 'text/csv'];
+    expect(ResponseHelper.negotiateType('text/csv, application/json;q=0.9', available)).toBe(
+      'text/csv'
+    );
+    expect(ResponseHelper.negotiateType('application/*', available)).toBe('application/json');
+    expect(ResponseHelper.negotiateType('text/*;q=0.8, */*;q=0.1', available)).toBe('text/csv');
+    expect(ResponseHelper.negotiateType('image/png', available)).toBeNull();
+    expect(ResponseHelper.negotiateType('text/csv;q=0, */*', ['text/csv'])).toBeNull();
+  });
+
+  it('normalizes request headers from different sources', () => {
+    expect(ResponseHelper.normalizeRequestHeaders({ headers: { Accept: 'text/csv' } })).toEqual({
+      accept: 'text/csv',
+    });
+    expect(ResponseHelper.normalizeRequestHeaders({ 'X-List': ['a', 'b'] })).toEqual({
+      'x-list': 'a, b',
+    });
+    const fetchHeaders = new Map([['accept', 'application/xml']]);
+    expect(ResponseHelper.normalizeRequestHeaders(fetchHeaders)).toEqual({
+      accept: 'application/xml',
+    });
+  });
+
+  it('serializes XML with escaping', () => {
+    expect(ResponseHelper.toXml({ a: 1, list: [1, 2], text: '<b>&' })).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?><response><a>1</a><list><item>1</item>' +
+        '<item>2</item></list><text>&lt;b&gt;&amp;</text></response>'
+    );
+  });
+
+  it('serializes CSV with quoting', () => {
+    expect(
+      ResponseHelper.toCsv([
+        { a: 1, b: 'x,y' },
+        { a: 2, c: 'say "hi"' },
+      ])
+    ).toBe('a,b,c\r\n1,"x,y",\r\n2,,"say ""hi"""');
+  });
+
+  it('serializes MessagePack', () => {
+    expect([...ResponseHelper.toMsgpack({ a: [1, -1, true, null], b: 'x' })]).toEqual([
+      0x82, 0xa1, 0x61, 0x94, 0x01, 0xff, 0xc3, 0xc0, 0xa1, 0x62, 0xa1, 0x78,
+    ]);
+    expect([...ResponseHelper.toMsgpack(300)]).toEqual([0xce, 0, 0, 1, 0x2c]);
+    expect([...ResponseHelper.toMsgpack(1.5)]).toEqual([0xcb, 0x3f, 0xf8, 0, 0, 0, 0, 0, 0]);
+  });
+});
+
 describe('ResponseBuilder', () => {
   it('sets status code', () => {
     const handler = new ResponseBuilder();
@@ -211,10 +313,10 @@ describe('ResponseBuilder', () => {
 
   it('handles error in non-stream', async () => {
     const handler = new ResponseBuilder();
-    const err = new Error('fail');
+    const err = Object.assign(new Error('fail'), { query: 'SELECT 1' });
     const result = await handler.send(err);
     expect(result.statusCode).toBe(500);
-    expect(result.body).toMatchObject({ name: 'Error', message: 'fail' });
+    expect(result.body).toEqual({ name: 'Error', message: 'Internal Server Error' });
     expect(result.headers['Content-Type']).toBe('application/json');
   });
 
@@ -281,56 +383,2592 @@ describe('ResponseBuilder', () => {
     await expect(promise).rejects.toThrow('custom');
     stream.destroy();
   });
+
+  describe('streaming mode', () => {
+    const collect = stream =>
+      new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      });
+
+    it('returns a Readable body when enabled on the builder', async () => {
+      const handler = new ResponseBuilder({ streaming: true });
+      const stream = Readable.from([Buffer.from('ab'), Buffer.from('c')]);
+      const result = await handler.send(stream);
+      expect(result.body).toBeInstanceOf(Readable);
+      expect(result.type).toBe('application/octet-stream');
+      expect(result.size).toBeUndefined();
+      expect((await collect(result.body)).toString()).toBe('abc');
+    });
+
+    it('can be enabled per call', async () => {
+      const handler = new ResponseBuilder();
+      const result = await handler.send(Readable.from(['x']), { streaming: true });
+      expect((await collect(result.body)).toString()).toBe('x');
+    });
+
+    it('can be disabled per call', async () => {
+      const handler = new ResponseBuilder({ streaming: true });
+      const result = await handler.send(Readable.from(['x']), { streaming: false });
+      expect(result.body.equals(Buffer.from('x'))).toBe(true);
+    });
+
+    it('enforces maxStreamSize as data flows', async () => {
+      const handler = new ResponseBuilder({ streaming: true, maxStreamSize: 2 });
+      const source = Readable.from([Buffer.from('ab'), Buffer.from('cd')]);
+      const result = await handler.send(source);
+      await expect(collect(result.body)).rejects.toThrow('exceeded maximum limit 2');
+    });
+
+    it('treats streamTimeout as an idle timeout', async () => {
+      const handler = new ResponseBuilder({ streaming: true, streamTimeout: 10 });
+      const source = new Readable({ read() {} });
+      const result = await handler.send(source);
+      await expect(collect(result.body)).rejects.toThrow('Stream processing timed out');
+      expect(source.destroyed).toBe(true);
+    });
+
+    it('forwards source errors to the body', async () => {
+      const handler = new ResponseBuilder({ streaming: true });
+      const source = new Readable({ read() {} });
+      const result = await handler.send(source);
+      const error = Object.assign(new Error('missing'), { code: 'ENOENT' });
+      source.emit('error', error);
+      await expect(collect(result.body)).rejects.toThrow('missing');
+      expect(handler.statusCode).toBe(404);
+    });
+
+    it('is available on protocol responders', async () => {
+      const res = await httpResponder.ok(Readable.from(['hi']), { streaming: true });
+      expect(res.statusCode).toBe(200);
+      expect((await collect(res.body)).toString()).toBe('hi');
+    });
+  });
 });
 
-describe('protocol responders', () => {
-  it('httpResponder.ok returns HTTP response', async () => {
-    const res = await httpResponder.ok('hi');
+describe('header store', () => {
+  it('looks headers up case-insensitively and keeps multiple values', () => {
+    const headers = new HeaderStore({ 'Content-Type': 'text/plain' });
+    headers
+      .set('content-type', 'application/json')
+      .append('Vary', 'Accept')
+      .append('vary', 'Origin');
+
+    expect(headers.get('CONTENT-TYPE')).toBe('application/json');
+    expect(headers.get('Vary')).toBe('Accept, Origin');
+    expect(headers.getAll('vary')).toEqual(['Accept', 'Origin']);
+    expect(headers.has('VARY')).toBe(true);
+    expect(headers.toObject()).toEqual({
+      'content-type': 'application/json',
+      Vary: ['Accept', 'Origin'],
+    });
+    expect(headers.delete('vary')).toBe(true);
+    expect(headers.has('vary')).toBe(false);
+    expect([...headers]).toEqual([['content-type', 'application/json']]);
+    expect(new HeaderStore(headers).get('Content-Type')).toBe('application/json');
+  });
+
+  it('rejects header injection', () => {
+    const headers = new HeaderStore();
+    expect(() => headers.set('X-Evil', 'a\r\nSet-Cookie: x=1')).toThrow(InvalidHeaderError);
+    expect(() => headers.append('Bad Name', 'x')).toThrow('Invalid header name: "Bad Name"');
+    expect(() => new ResponseBuilder({ headers: { 'X-A': 'line\nbreak' } })).toThrow(
+      expect.objectContaining({ code: 'INVALID_HEADER', header: 'X-A' })
+    );
+  });
+
+  it('restores the fluent headers() and header() API', async () => {
+    const builder = new ResponseBuilder({ headers: { 'X-Default': '1' } });
+    expect(typeof builder.headers).toBe('function');
+
+    const res = await builder
+      .headers({ 'X-Request-ID': 'req-1' })
+      .header('Cache-Control', 'no-store')
+      .appendHeader('Link', '</a>; rel="next"')
+      .appendHeader('link', '</b>; rel="last"')
+      .removeHeader('x-default')
+      .send('ok');
+
+    expect(builder.hasHeader('x-request-id')).toBe(true);
+    expect(builder.getHeader('LINK')).toBe('</a>; rel="next", </b>; rel="last"');
+    expect(res.headers).toMatchObject({
+      'X-Request-ID': 'req-1',
+      'Cache-Control': 'no-store',
+      Link: ['</a>; rel="next"', '</b>; rel="last"'],
+    });
+    expect(res.headers['X-Default']).toBeUndefined();
+  });
+
+  it('lets builder headers replace generated headers regardless of casing', async () => {
+    const res = await new ResponseBuilder({ headers: { 'content-type': 'application/vnd.x+json' } })
+      .header('vary', 'Cookie')
+      .negotiate('application/json')
+      .send({ a: 1 });
+    const names = Object.keys(res.headers).map(name => name.toLowerCase());
+
+    expect(names.filter(name => name === 'content-type')).toHaveLength(1);
+    expect(res.headers['content-type']).toBe('application/vnd.x+json');
+    expect(res.headers.Vary).toBe('Cookie, Accept');
+  });
+});
+
+describe('ResponseBuilder content negotiation', () => {
+  const rows = [
+    { id: 1, name: 'a' },
+    { id: 2, name: 'b' },
+  ];
+
+  it('keeps JSON when the client accepts it', async () => {
+    const result = await new ResponseBuilder().negotiate('application/json').send(rows);
+    expect(result.body).toEqual(rows);
+    expect(result.headers['Content-Type']).toBe('application/json');
+    expect(result.headers.Vary).toBe('Accept');
+  });
+
+  it('serializes arrays of objects as CSV', async () => {
+    const result = await new ResponseBuilder()
+      .negotiate({ headers: { accept: 'text/csv' } })
+      .send(rows);
+    expect(result.body).toBe('id,name\r\n1,a\r\n2,b');
+    expect(result.type).toBe('text/csv');
+  });
+
+  it('serializes XML and MessagePack', async () => {
+    const xml = await new ResponseBuilder().negotiate('application/xml').send({ a: 1 });
+    expect(xml.body).toContain('<response><a>1</a></response>');
+    const msgpack = await new ResponseBuilder().negotiate('application/msgpack').send({ a: 1 });
+    expect(Buffer.isBuffer(msgpack.body)).toBe(true);
+    expect(msgpack.type).toBe('application/msgpack');
+  });
+
+  it('does not offer CSV for non-tabular bodies', async () => {
+    const result = await new ResponseBuilder().negotiate('text/csv').send({ a: 1 });
+    expect(result.statusCode).toBe(406);
+    expect(result.body).toContain('application/json');
+  });
+
+  it('returns 406 when a text body is not acceptable', async () => {
+    const result = await new ResponseBuilder().negotiate('application/json').send('<p>hi</p>');
+    expect(result.statusCode).toBe(406);
+  });
+
+  it('skips negotiation without an Accept header or when not enabled', async () => {
+    const withoutHeader = await new ResponseBuilder({ negotiate: true, request: {} }).send({});
+    expect(withoutHeader.body).toEqual({});
+    expect(withoutHeader.headers.Vary).toBe('Accept');
+    const disabled = await new ResponseBuilder({ request: { accept: 'text/csv' } }).send(rows);
+    expect(disabled.body).toEqual(rows);
+    expect(disabled.headers.Vary).toBeUndefined();
+  });
+
+  it('is available on protocol responders', async () => {
+    const res = await httpResponder.ok(rows, {
+      negotiate: true,
+      request: { headers: { Accept: 'text/csv;q=0.9, application/xml;q=0.5' } },
+    });
+    expect(res.type).toBe('text/csv');
+    expect((await httpResponder.notAcceptable('no')).statusCode).toBe(406);
+  });
+});
+
+describe('problem details', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  it('builds problem documents from errors without leaking stacks', () => {
+    const error = Object.assign(new Error('Broken'), {
+      code: 'E_BROKEN',
+      details: { retry: false },
+      extensions: { traceId: 't-1' },
+      connectionString: 'postgres://user:secret@db',
+    });
+    expect(ResponseHelper.createProblemDetails(error, 500)).toEqual({
+      type: 'about:blank',
+      title: 'Internal Server Error',
+      status: 500,
+      detail: 'Broken',
+      code: 'E_BROKEN',
+      details: { retry: false },
+      traceId: 't-1',
+    });
+    expect(ResponseHelper.createProblemDetails(error, 500, { includeStack: true }).stack).toBe(
+      error.stack
+    );
+  });
+
+  it('maps object bodies to problem and extension members', () => {
+    const problem = ResponseHelper.createProblemDetails(
+      { type: 'https://example.com/out-of-credit', message: 'No credit', balance: 30, status: 1 },
+      403,
+      { instance: '/account/1' }
+    );
+    expect(problem).toEqual({
+      type: 'https://example.com/out-of-credit',
+      title: 'Forbidden',
+      status: 403,
+      detail: 'No credit',
+      instance: '/account/1',
+      balance: 30,
+    });
+  });
+
+  it('is emitted by error responders when enabled', async () => {
+    const res = await httpResponder.badRequest('Missing email', {
+      problemDetails: true,
+      request: { url: '/users', headers: {} },
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['Content-Type']).toBe('application/problem+json');
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Missing email',
+      instance: '/users',
+    });
+  });
+
+  it('converts Error bodies sent with 500', async () => {
+    process.env.NODE_ENV = 'production';
+    const res = await new ResponseBuilder({ problemDetails: true }).send(new Error('boom'));
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Internal Server Error',
+      status: 500,
+    });
+    const bad = await httpResponder.badRequest(new Error('Email is required'), {
+      problemDetails: true,
+    });
+    expect(bad.body).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Email is required',
+    });
+  });
+
+  it('includes stacks in development by default and can be overridden', async () => {
+    process.env.NODE_ENV = 'development';
+    const dev = await httpResponder.internalServerError(new Error('x'), { problemDetails: true });
+    expect(dev.body.stack).toBeDefined();
+    const hidden = await httpResponder.internalServerError(new Error('x'), {
+      problemDetails: { includeStack: false },
+    });
+    expect(hidden.body.stack).toBeUndefined();
+  });
+
+  it('leaves successful responses and disabled mode untouched', async () => {
+    const ok = await httpResponder.ok({ a: 1 }, { problemDetails: true });
+    expect(ok.body).toEqual({ a: 1 });
+    const plain = await httpResponder.notFound('missing');
+    expect(plain.body).toBe('missing');
+  });
+
+  it('renders 406 negotiation failures as problems', async () => {
+    const res = await new ResponseBuilder({ problemDetails: true }).negotiate('image/png').send({});
+    expect(res.statusCode).toBe(406);
+    expect(res.type).toBe('application/problem+json');
+    expect(res.body.title).toBe('Not Acceptable');
+  });
+
+  it('works for IPC and socket responders', async () => {
+    const ipc = await ipcResponder.notFound('gone', { problemDetails: true });
+    expect(ipc.type).toBe('application/problem+json');
+    expect(ipc.body.status).toBe(404);
+    const socket = await socketResponder.conflict({ detail: 'taken' }, { problemDetails: true });
+    expect(socket.message).toMatchObject({ title: 'Conflict', detail: 'taken' });
+  });
+});
+
+describe('compression', () => {
+  const large = { text: 'a'.repeat(2048) };
+
+  it('negotiates codings from Accept-Encoding', () => {
+    const available = ['br', 'gzip', 'deflate'];
+    expect(ResponseHelper.negotiateEncoding('gzip, deflate, br', available)).toBe('br');
+    expect(ResponseHelper.negotiateEncoding('gzip;q=1, br;q=0.5', available)).toBe('gzip');
+    expect(ResponseHelper.negotiateEncoding('*;q=0.1, br;q=0', available)).toBe('gzip');
+    expect(ResponseHelper.negotiateEncoding('identity', available)).toBeNull();
+    expect(ResponseHelper.negotiateEncoding(undefined, available)).toBeNull();
+  });
+
+  it('detects already-compressed content types', () => {
+    expect(ResponseHelper.isCompressible('application/json')).toBe(true);
+    expect(ResponseHelper.isCompressible('image/svg+xml')).toBe(true);
+    expect(ResponseHelper.isCompressible('image/png')).toBe(false);
+    expect(ResponseHelper.isCompressible('application/zip')).toBe(false);
+  });
+
+  it('compresses buffered bodies with the negotiated coding', async () => {
+    const res = await httpResponder.ok(large, {
+      compression: true,
+      request: { headers: { 'accept-encoding': 'gzip' } },
+    });
+    expect(res.headers['Content-Encoding']).toBe('gzip');
+    expect(res.headers.Vary).toBe('Accept-Encoding');
+    expect(res.size).toBe(res.body.length);
+    expect(JSON.parse(Zlib.gunzipSync(res.body).toString())).toEqual(large);
+  });
+
+  it('supports brotli and deflate', async () => {
+    const br = await new ResponseBuilder({ compression: true })
+      .request({ 'accept-encoding': 'br' })
+      .send('x'.repeat(4096));
+    expect(Zlib.brotliDecompressSync(br.body).toString()).toBe('x'.repeat(4096));
+    const deflate = await new ResponseBuilder({ compression: { encodings: ['deflate'] } })
+      .request({ 'accept-encoding': 'br, deflate' })
+      .send('x'.repeat(4096));
+    expect(deflate.headers['Content-Encoding']).toBe('deflate');
+    expect(Zlib.inflateSync(deflate.body).toString()).toBe('x'.repeat(4096));
+  });
+
+  it('skips small bodies and compressed content types', async () => {
+    const request = { 'accept-encoding': 'gzip' };
+    const small = await new ResponseBuilder({ compression: true }).request(request).send('hi');
+    expect(small.headers['Content-Encoding']).toBeUndefined();
+    expect(small.body).toBe('hi');
+    const png = await new ResponseBuilder({
+      compression: { threshold: 0 },
+      contentType: 'image/png',
+    })
+      .request(request)
+      .send(Buffer.alloc(10));
+    expect(png.headers['Content-Encoding']).toBeUndefined();
+  });
+
+  it('compresses pass-through stream bodies', async () => {
+    const res = await new ResponseBuilder({ compression: true, streaming: true })
+      .request({ 'accept-encoding': 'gzip' })
+      .send(Readable.from([Buffer.from('stream '), Buffer.from('data')]));
+    const chunks = [];
+    for await (const chunk of res.body) chunks.push(chunk);
+    expect(Zlib.gunzipSync(Buffer.concat(chunks)).toString()).toBe('stream data');
+    expect(res.headers['Content-Encoding']).toBe('gzip');
+  });
+
+  it('uses an explicit encoding for IPC and socket payloads', async () => {
+    const ipc = await ipcResponder.ok(large, { compression: { encoding: 'gzip', threshold: 0 } });
+    expect(ipc.encoding).toBe('gzip');
+    expect(JSON.parse(Zlib.gunzipSync(ipc.body).toString())).toEqual(large);
+    const socket = await socketResponder.ok(large, { compression: { encoding: 'deflate' } });
+    expect(socket.encoding).toBe('deflate');
+    expect(Zlib.inflateSync(socket.message).toString()).toBe(JSON.stringify(large));
+  });
+
+  it('rejects unknown encodings', () => {
+    expect(() => new ResponseBuilder({ compression: { encoding: 'lzma' } })).toThrow(
+      'Invalid encoding: lzma'
+    );
+  });
+});
+
+describe('conditional requests', () => {
+  const body = { id: 1, name: 'cached' };
+  const modified = new Date('2024-01-01T00:00:00Z');
+
+  it('generates strong and weak entity tags', () => {
+    const strong = ResponseHelper.generateETag('abc');
+    expect(strong).toMatch(/^"3-[A-Za-z0-9+/]{27}"$/);
+    expect(ResponseHelper.generateETag('abc', true)).toBe(`W/${strong}`);
+  });
+
+  it('compares entity tags', () => {
+    expect(ResponseHelper.matchesETag('"a", "b"', '"b"')).toBe(true);
+    expect(ResponseHelper.matchesETag('W/"b"', '"b"')).toBe(false);
+    expect(ResponseHelper.matchesETag('W/"b"', '"b"', true)).toBe(true);
+    expect(ResponseHelper.matchesETag('*', '"x"')).toBe(true);
+    expect(ResponseHelper.matchesETag('*', undefined)).toBe(true);
+    expect(ResponseHelper.matchesETag('"x"', undefined)).toBe(false);
+  });
+
+  it('treats If-Match: * as matching a representation without an ETag', async () => {
+    const res = await new ResponseBuilder()
+      .request({ method: 'PUT', headers: { 'if-match': '*' } })
+      .send(body);
     expect(res.statusCode).toBe(200);
-    expect(res.body).toBe('hi');
-    expect(res.headers['Content-Type']).toBe('text/plain');
   });
-  it('httpResponder.ok handles object body', async () => {
-    const res = await httpResponder.ok({ foo: 'bar' });
+
+  it('adds ETag and Last-Modified headers', async () => {
+    const res = await httpResponder.ok(body, { etag: 'strong', lastModified: modified });
+    expect(res.headers.ETag).toBe(ResponseHelper.generateETag(JSON.stringify(body)));
+    expect(res.headers['Last-Modified']).toBe(modified.toUTCString());
+    const weak = await httpResponder.ok(body, { etag: true });
+    expect(weak.headers.ETag.startsWith('W/"')).toBe(true);
+  });
+
+  it('computes the ETag of each response on a reused builder', async () => {
+    const builder = new ResponseBuilder({ etag: 'strong' });
+    const first = await builder.send({ a: 1 });
+    const second = await builder.send({ a: 2 });
+    expect(first.headers.ETag).toBe(ResponseHelper.generateETag('{"a":1}'));
+    expect(second.headers.ETag).toBe(ResponseHelper.generateETag('{"a":2}'));
+    expect(builder.hasHeader('ETag')).toBe(false);
+  });
+
+  it('returns 304 when If-None-Match matches', async () => {
+    const { headers } = await httpResponder.ok(body, { etag: true });
+    const res = await httpResponder.ok(body, {
+      etag: true,
+      request: { headers: { 'if-none-match': headers.ETag } },
+    });
+    expect(res.statusCode).toBe(304);
+    expect(res.body).toBe('');
+    expect(res.headers.ETag).toBe(headers.ETag);
+  });
+
+  it('returns 304 when not modified since', async () => {
+    const res = await new ResponseBuilder()
+      .lastModified(modified)
+      .request({ headers: { 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' } })
+      .send(body);
+    expect(res.statusCode).toBe(304);
+    const changed = await new ResponseBuilder()
+      .lastModified(modified)
+      .request({ headers: { 'if-modified-since': 'Sun, 31 Dec 2023 00:00:00 GMT' } })
+      .send(body);
+    expect(changed.statusCode).toBe(200);
+  });
+
+  it('ignores If-Modified-Since when If-None-Match is present', async () => {
+    const res = await new ResponseBuilder({ etag: true, lastModified: modified })
+      .request({
+        headers: { 'if-none-match': '"other"', 'if-modified-since': modified.toUTCString() },
+      })
+      .send(body);
     expect(res.statusCode).toBe(200);
-    expect(res.body).toEqual({ foo: 'bar' });
-    expect(res.headers['Content-Type']).toBe('application/json');
   });
-  it('ipcResponder.notFound returns IPC response', async () => {
-    const res = await ipcResponder.notFound('no');
-    expect(res.statusCode).toBe(404);
-    expect(res.body).toBe('no');
-    expect(res.type).toBe('text/plain');
+
+  it('returns 412 when If-Match does not match', async () => {
+    const res = await httpResponder.ok(body, {
+      etag: 'strong',
+      request: { method: 'PUT', headers: { 'if-match': '"stale"' } },
+    });
+    expect(res.statusCode).toBe(412);
+    expect(res.body).toBe('');
   });
-  it('ipcResponder.notFound handles stream body', async () => {
-    const stream = new Readable();
-    stream._read = () => {};
-    stream.push('abc');
-    stream.push(null);
-    const res = await ipcResponder.notFound(stream);
-    expect(res.body.equals(Buffer.from('abc'))).toBe(true);
-    expect(res.type).toBe('application/octet-stream');
-    expect(res.size).toBe(3);
-    stream.destroy();
+
+  it('returns 412 for If-None-Match on unsafe methods', async () => {
+    const res = await new ResponseBuilder({ etag: true })
+      .request({ method: 'POST', headers: { 'if-none-match': '*' } })
+      .send(body);
+    expect(res.statusCode).toBe(412);
   });
-  it('socketResponder.internalServerError returns Socket response', async () => {
-    const res = await socketResponder.internalServerError('fail');
-    expect(res.statusCode).toBe(500);
-    expect(res.message).toBe('fail');
-    expect(res.type).toBe('text/plain');
+
+  it('returns 412 when modified after If-Unmodified-Since', async () => {
+    const res = await new ResponseBuilder({ lastModified: modified })
+      .request({
+        method: 'DELETE',
+        headers: { 'if-unmodified-since': 'Sun, 31 Dec 2023 00:00:00 GMT' },
+      })
+      .send(body);
+    expect(res.statusCode).toBe(412);
   });
-  it('socketResponder.internalServerError handles object body', async () => {
-    const res = await socketResponder.internalServerError({ err: true });
+
+  it('only evaluates preconditions for successful HTTP responses', async () => {
+    const request = { headers: { 'if-none-match': '*' } };
+    expect((await httpResponder.notFound('x', { etag: true, request })).statusCode).toBe(404);
+    expect((await ipcResponder.ok('x', { etag: true, request })).statusCode).toBe(200);
+  });
+
+  it('exposes notModified and preconditionFailed responders', async () => {
+    expect((await httpResponder.notModified()).statusCode).toBe(304);
+    expect((await httpResponder.preconditionFailed()).statusCode).toBe(412);
+  });
+
+  it('rejects invalid configuration', () => {
+    expect(() => new ResponseBuilder({ etag: 'medium' })).toThrow('Invalid etag mode');
+    expect(() => new ResponseBuilder().lastModified('not a date')).toThrow('Invalid Last-Modified');
+  });
+});
+
+describe('range requests', () => {
+  const content = Buffer.from('0123456789abcdefghij');
+  let tmpDir;
+  let filePath;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-responder-'));
+    filePath = path.join(tmpDir, 'data.bin');
+    fs.writeFileSync(filePath, content);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const withRange = (range, extra = {}) => ({
+    ranges: true,
+    request: { headers: { range, ...extra } },
+  });
+
+  it('parses byte ranges', () => {
+    expect(ResponseHelper.parseRange(20, 'bytes=0-4')).toEqual([{ start: 0, end: 4 }]);
+    expect(ResponseHelper.parseRange(20, 'bytes=15-')).toEqual([{ start: 15, end: 19 }]);
+    expect(ResponseHelper.parseRange(20, 'bytes=-3')).toEqual([{ start: 17, end: 19 }]);
+    expect(ResponseHelper.parseRange(20, 'bytes=0-100')).toEqual([{ start: 0, end: 19 }]);
+    expect(ResponseHelper.parseRange(20, 'bytes=0-2, 1-5, 10-12')).toEqual([
+      { start: 0, end: 5 },
+      { start: 10, end: 12 },
+    ]);
+    expect(ResponseHelper.parseRange(20, 'bytes=30-40')).toBe(-1);
+    expect(ResponseHelper.parseRange(20, 'items=0-1')).toBe(-2);
+    expect(ResponseHelper.parseRange(20, 'bytes=5-1')).toBe(-2);
+  });
+
+  it('serves a single range of a Buffer', async () => {
+    const res = await httpResponder.ok(content, withRange('bytes=2-5'));
+    expect(res.statusCode).toBe(206);
+    expect(res.body.toString()).toBe('2345');
+    expect(res.headers['Content-Range']).toBe('bytes 2-5/20');
+    expect(res.headers['Accept-Ranges']).toBe('bytes');
+  });
+
+  it('serves multiple ranges as multipart/byteranges', async () => {
+    const res = await httpResponder.ok(content, withRange('bytes=0-1, 18-'));
+    expect(res.statusCode).toBe(206);
+    const [, boundary] = res.type.match(/^multipart\/byteranges; boundary=(\w+)$/);
+    expect(res.body.toString()).toBe(
+      `--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes 0-1/20\r\n\r\n01\r\n` +
+        `--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes 18-19/20\r\n\r\nij\r\n` +
+        `--${boundary}--\r\n`
+    );
+  });
+
+  it('returns 416 for unsatisfiable ranges', async () => {
+    const res = await httpResponder.ok(content, withRange('bytes=50-60'));
+    expect(res.statusCode).toBe(416);
+    expect(res.headers['Content-Range']).toBe('bytes */20');
+    expect(res.body).toBe('');
+  });
+
+  it('ignores malformed ranges and advertises support', async () => {
+    const res = await httpResponder.ok(content, withRange('lines=1-2'));
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe(content);
+    expect(res.headers['Accept-Ranges']).toBe('bytes');
+  });
+
+  it('sends the full body when If-Range does not match', async () => {
+    const res = await httpResponder.ok(content, {
+      etag: 'strong',
+      ...withRange('bytes=0-1', { 'if-range': '"stale"' }),
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe(content);
+  });
+
+  it('reads only the requested window of a file stream', async () => {
+    const stream = fs.createReadStream(filePath);
+    const res = await httpResponder.ok(stream, withRange('bytes=10-14'));
+    expect(res.statusCode).toBe(206);
+    expect(res.body.toString()).toBe('abcde');
+    expect(res.size).toBe(5);
+    expect(res.headers['Content-Range']).toBe('bytes 10-14/20');
+    expect(stream.destroyed).toBe(true);
+  });
+
+  it('streams multipart ranges of a file', async () => {
+    const res = await httpResponder.ok(fs.createReadStream(filePath), {
+      ...withRange('bytes=0-0, -1'),
+      streaming: true,
+    });
+    const chunks = [];
+    for await (const chunk of res.body) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString();
+    expect(res.type).toMatch(/^multipart\/byteranges/);
+    expect(text).toContain('Content-Range: bytes 0-0/20\r\n\r\n0\r\n');
+    expect(text).toContain('Content-Range: bytes 19-19/20\r\n\r\nj\r\n');
+  });
+
+  it('evaluates preconditions before serving file ranges', async () => {
+    const stream = fs.createReadStream(filePath);
+    const res = await httpResponder.ok(stream, {
+      lastModified: new Date('2024-01-01T00:00:00Z'),
+      ...withRange('bytes=0-4', { 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }),
+    });
+    expect(res.statusCode).toBe(304);
+    expect(res.body).toBe('');
+    expect(res.headers['Content-Range']).toBeUndefined();
+    expect(stream.destroyed).toBe(true);
+
+    const failed = await httpResponder.ok(
+      fs.createReadStream(filePath),
+      withRange('bytes=0-4', { 'if-match': '"stale"' })
+    );
+    expect(failed.statusCode).toBe(412);
+  });
+
+  it('returns 416 for files', async () => {
+    const res = await httpResponder.ok(fs.createReadStream(filePath), withRange('bytes=100-'));
+    expect(res.statusCode).toBe(416);
+    expect(res.headers['Content-Range']).toBe('bytes */20');
+  });
+
+  it('does nothing unless enabled', async () => {
+    const res = await httpResponder.ok(content, { request: { headers: { range: 'bytes=0-1' } } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Accept-Ranges']).toBeUndefined();
+  });
+});
+
+describe('server-sent events', () => {
+  const read = stream => {
+    const chunks = [];
+    let chunk;
+    while ((chunk = stream.read()) !== null) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+  };
+
+  it('formats event frames', () => {
+    expect(EventStream.formatEvent('update', { a: 1 }, { id: 7 })).toBe(
+      'id: 7\nevent: update\ndata: {"a":1}\n\n'
+    );
+    expect(EventStream.formatEvent(null, 'line 1\nline 2', { retry: 500 })).toBe(
+      'retry: 500\ndata: line 1\ndata: line 2\n\n'
+    );
+    expect(EventStream.formatEvent('bad\nname', 42)).toBe('event: badname\ndata: 42\n\n');
+  });
+
+  it('returns an HTTP text/event-stream response', () => {
+    const events = new ResponseBuilder({ headers: { 'X-Stream': 'live' } }).eventStream({
+      heartbeat: 0,
+    });
+    expect(events.response.statusCode).toBe(200);
+    expect(events.response.headers['Content-Type']).toBe('text/event-stream; charset=utf-8');
+    expect(events.response.headers['Cache-Control']).toBe('no-cache, no-transform');
+    expect(events.response.headers['X-Stream']).toBe('live');
+    expect(events.response.body).toBe(events.body);
+    events.destroy();
+  });
+
+  it('sends events and comments, and tracks the last event id', () => {
+    const events = new ResponseBuilder().eventStream({ heartbeat: 0, retry: 1000 });
+    events.send('tick', { n: 1 }, { id: 'a1' });
+    events.comment('keep-alive');
+    expect(read(events.body)).toBe(
+      'retry: 1000\n\nid: a1\nevent: tick\ndata: {"n":1}\n\n: keep-alive\n\n'
+    );
+    expect(events.lastEventId).toBe('a1');
+    events.destroy();
+  });
+
+  it('sends heartbeat comments', async () => {
+    const events = new ResponseBuilder().eventStream({ heartbeat: 5 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(read(events.body)).toContain(': heartbeat\n\n');
+    events.destroy();
+  });
+
+  it('replays events after Last-Event-ID', async () => {
+    const onReplay = jest.fn((lastEventId, stream) => {
+      stream.send('missed', 'x', { id: Number(lastEventId) + 1 });
+    });
+    const events = new ResponseBuilder()
+      .request({ headers: { 'Last-Event-ID': '41' } })
+      .eventStream({ heartbeat: 0, onReplay });
+    expect(events.lastEventId).toBe('41');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onReplay).toHaveBeenCalledWith('41', events);
+    expect(read(events.body)).toBe('id: 42\nevent: missed\ndata: x\n\n');
+    events.destroy();
+  });
+
+  it('tears down cleanly', async () => {
+    const onClose = jest.fn();
+    const events = new ResponseBuilder().eventStream({ heartbeat: 1000, onClose });
+    const spy = jest.spyOn(ResponseHelper, 'destroyStream');
+    events.destroy();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(spy).toHaveBeenCalledWith(events.body, true);
+    expect(onClose).toHaveBeenCalledWith(events);
+    expect(events.heartbeatTimer).toBeNull();
+    expect(events.send('late', 1)).toBe(false);
+  });
+
+  it('ends gracefully on close', async () => {
+    const events = new ResponseBuilder().eventStream({ heartbeat: 0 });
+    events.send(null, 'bye');
+    events.close();
+    const chunks = [];
+    for await (const chunk of events.body) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe('data: bye\n\n');
+  });
+
+  it('requires the HTTP protocol', () => {
+    expect(() => new ResponseBuilder({ protocol: PROTOCOLS.IPC }).eventStream()).toThrow(
+      'Event streams require the http protocol'
+    );
+  });
+});
+
+describe('response validation', () => {
+  const userSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string', minLength: 1 },
+      createdAt: { type: 'string', pattern: '^\\d{4}-' },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+    additionalProperties: false,
+  };
+
+  it('validates values against JSON Schema', () => {
+    expect(ResponseHelper.validateSchema({ id: 1, name: 'a' }, userSchema)).toEqual([]);
+    expect(
+      ResponseHelper.validateSchema({ id: 0, tags: ['x', 1], extra: true }, userSchema)
+    ).toEqual([
+      '$.name is required',
+      '$.id must be >= 1',
+      '$.tags[1] must be of type string',
+      '$.extra is not allowed',
+    ]);
+    expect(ResponseHelper.validateSchema('x', { enum: ['a', 'b'] })).toEqual([
+      '$ must be one of "a", "b"',
+    ]);
+    expect(
+      ResponseHelper.validateSchema(5, { anyOf: [{ type: 'string' }, { minimum: 10 }] })
+    ).toEqual(['$ must match at least one schema in anyOf']);
+    expect(ResponseHelper.validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  it('supports validator functions', () => {
+    expect(ResponseHelper.runValidator(1, () => true)).toEqual([]);
+    expect(ResponseHelper.runValidator(1, () => 'bad')).toEqual(['bad']);
+    expect(ResponseHelper.runValidator(1, () => false)).toEqual(['Response body is invalid']);
+    const ajvLike = Object.assign(() => false, {
+      errors: [{ instancePath: '/id', message: 'must be integer' }],
+    });
+    expect(ResponseHelper.runValidator(1, ajvLike)).toEqual(['/id must be integer']);
+  });
+
+  it('throws ResponseValidationError by default', async () => {
+    const promise = new ResponseBuilder({ schema: userSchema }).send({ id: 'x' });
+    await expect(promise).rejects.toBeInstanceOf(ResponseValidationError);
+    await expect(
+      new ResponseBuilder({ schema: userSchema }).send({ id: 'x', name: 'a' })
+    ).rejects.toMatchObject({
+      code: 'RESPONSE_VALIDATION',
+      statusCode: 200,
+      errors: ['$.id must be of type integer'],
+    });
+  });
+
+  it('validates serialized values', async () => {
+    const res = await new ResponseBuilder()
+      .schema(userSchema)
+      .send({ id: 1, name: 'a', createdAt: new Date('2024-01-01') });
+    expect(res.statusCode).toBe(200);
+    const set = await new ResponseBuilder()
+      .schema({ type: 'array', items: { type: 'integer' } })
+      .send(new Set([1, 2]));
+    expect(set.body).toEqual([1, 2]);
+  });
+
+  it('logs a warning in warn mode', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const res = await httpResponder.ok(
+      { id: 1 },
+      { schema: userSchema, onValidationError: 'warn' }
+    );
+    expect(res.statusCode).toBe(200);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('$.name is required'));
+  });
+
+  it('converts to 500 in convert mode', async () => {
+    const res = await httpResponder.ok(
+      { id: 1 },
+      { schema: userSchema, onValidationError: 'convert' }
+    );
     expect(res.statusCode).toBe(500);
-    expect(res.message).toEqual({ err: true });
-    expect(res.type).toBe('application/json');
+    expect(res.body).toEqual({ error: 'Response validation failed' });
+    const problem = await httpResponder.ok(
+      { id: 1 },
+      { schema: userSchema, onValidationError: 'convert', problemDetails: true }
+    );
+    expect(problem.body).toMatchObject({ status: 500, detail: 'Response validation failed' });
   });
-  it('httpResponder.ok with stream body throws on stream error', async () => {
-    const stream = new Readable();
-    stream._read = () => {};
-    const promise = httpResponder.ok(stream);
-    stream.emit('error', new Error('fail'));
-    await expect(promise).rejects.toThrow('fail');
-    stream.destroy();
+
+  it('selects schemas per status code or class', async () => {
+    const schemas = {
+      404: { type: 'object', required: ['error'] },
+      '5XX': () => 'server errors are not documented',
+    };
+    await expect(httpResponder.notFound({ error: 'missing' }, { schemas })).resolves.toMatchObject({
+      statusCode: 404,
+    });
+    await expect(httpResponder.notFound('missing', { schemas })).rejects.toThrow(
+      '$ must be of type object'
+    );
+    await expect(httpResponder.badGateway('x', { schemas })).rejects.toThrow('not documented');
+    await expect(httpResponder.badRequest('x', { schemas })).resolves.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('rejects unknown failure modes', () => {
+    expect(() => new ResponseBuilder({ onValidationError: 'ignore' })).toThrow(
+      'Invalid onValidationError'
+    );
+  });
+});
+
+describe('interceptors', () => {
+  const registered = [];
+  const useGlobal = interceptor => {
+    registered.push(interceptor);
+    interceptors.use(interceptor);
+  };
+
+  afterEach(() => {
+    registered.splice(0).forEach(interceptor => interceptors.remove(interceptor));
+  });
+
+  it('registers the response time interceptor globally', async () => {
+    expect(interceptors.list()).toContain(responseTimeInterceptor);
+    const res = await httpResponder.ok('x');
+    expect(new Date(res.headers['X-Response-Time']).toISOString()).toBe(
+      res.headers['X-Response-Time']
+    );
+    const ipc = await ipcResponder.ok('x');
+    expect(ipc.headers).toBeUndefined();
+  });
+
+  it('does not override an explicit X-Response-Time', async () => {
+    const res = await httpResponder.ok('x', { headers: { 'X-Response-Time': 'fixed' } });
+    expect(res.headers['X-Response-Time']).toBe('fixed');
+  });
+
+  it('refreshes X-Response-Time on every response', async () => {
+    const builder = new ResponseBuilder();
+    const first = await builder.send('x');
+    expect(builder.hasHeader('X-Response-Time')).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await builder.send('y');
+    expect(Date.parse(second.headers['X-Response-Time'])).toBeGreaterThan(
+      Date.parse(first.headers['X-Response-Time'])
+    );
+  });
+
+  it('runs hooks in order with a shared context', async () => {
+    const calls = [];
+    useGlobal({ beforeProcess: () => calls.push('global:before') });
+    const res = await new ResponseBuilder()
+      .use({
+        beforeProcess: context => {
+          calls.push('local:before');
+          context.state.seen = true;
+          context.body = { ...context.body, injected: true };
+        },
+        afterProcess: async context => {
+          calls.push('local:after');
+          context.builder.status(201).header('X-Seen', String(context.state.seen));
+          context.processedBody = {
+            ...context.processedBody,
+            body: { ...context.processedBody.body, secret: '[redacted]' },
+          };
+        },
+      })
+      .send({ secret: 'hunter2' });
+    expect(calls).toEqual(['global:before', 'local:before', 'local:after']);
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['X-Seen']).toBe('true');
+    expect(res.body).toEqual({ secret: '[redacted]', injected: true });
+  });
+
+  it('applies global interceptors to protocol responders', async () => {
+    useGlobal({
+      protocols: [PROTOCOLS.SOCKET],
+      afterProcess: context => {
+        context.processedBody = { ...context.processedBody, body: 'socket only' };
+      },
+    });
+    expect((await socketResponder.ok('x')).message).toBe('socket only');
+    expect((await ipcResponder.ok('x')).body).toBe('x');
+  });
+
+  it('runs onError hooks and lets them replace the error', async () => {
+    const seen = jest.fn();
+    const builder = new ResponseBuilder({
+      schema: { type: 'object' },
+      interceptors: [
+        { onError: seen },
+        { onError: error => new Error(`wrapped: ${error.message}`) },
+      ],
+    });
+    await expect(builder.send(1)).rejects.toThrow('wrapped: Response body for status 200');
+    expect(seen).toHaveBeenCalledWith(expect.any(ResponseValidationError), expect.any(Object));
+  });
+
+  it('propagates request ids', async () => {
+    const res = await new ResponseBuilder({
+      request: { headers: { 'x-request-id': 'abc' } },
+      interceptors: [requestIdInterceptor()],
+    }).send('x');
+    expect(res.headers['X-Request-ID']).toBe('abc');
+    const generated = await httpResponder.ok('x', {
+      interceptors: [requestIdInterceptor({ header: 'X-Correlation-ID', generate: () => 'gen' })],
+    });
+    expect(generated.headers['X-Correlation-ID']).toBe('gen');
+  });
+
+  it('validates and manages registrations', () => {
+    const registry = new InterceptorRegistry();
+    expect(() => registry.use({})).toThrow('Interceptors must define at least one of');
+    const interceptor = { onError() {} };
+    registry.use(interceptor);
+    expect(registry.list()).toEqual([interceptor]);
+    expect(registry.remove(interceptor)).toBe(true);
+    expect(registry.remove(interceptor)).toBe(false);
+    expect(registry.use(interceptor).clear().list()).toEqual([]);
+  });
+});
+
+describe('security headers', () => {
+  it('applies the default preset to HTTP responses', async () => {
+    const res = await httpResponder.ok({ a: 1 }, { security: true });
+    expect(res.headers).toMatchObject({
+      'Strict-Transport-Security': 'max-age=15552000; includeSubDomains',
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Resource-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+    });
+    expect(res.headers['Cross-Origin-Embedder-Policy']).toBeUndefined();
+    expect(res.headers['Content-Security-Policy']).toMatch(
+      /^default-src 'self'; .*script-src 'self' 'nonce-[A-Za-z0-9+/=]+'; style-src 'self' 'nonce-/
+    );
+  });
+
+  it('exposes a per-response nonce to HTML bodies', async () => {
+    const builder = new ResponseBuilder({ security: true });
+    const other = new ResponseBuilder({ security: true });
+    expect(builder.cspNonce).toEqual(expect.any(String));
+    expect(builder.cspNonce).not.toBe(other.cspNonce);
+
+    const res = await builder.send(
+      `<!DOCTYPE html><html><script nonce="{{cspNonce}}"></script>` +
+        `<style nonce="${builder.cspNonce}"></style></html>`
+    );
+    expect(res.headers['Content-Type']).toBe('text/html');
+    expect(res.body).toBe(
+      `<!DOCTYPE html><html><script nonce="${builder.cspNonce}"></script>` +
+        `<style nonce="${builder.cspNonce}"></style></html>`
+    );
+    expect(res.headers['Content-Security-Policy']).toContain(`'nonce-${builder.cspNonce}'`);
+  });
+
+  it('uses a fresh nonce for every send of a reused builder', async () => {
+    const builder = new ResponseBuilder({ security: true });
+    const page = '<!DOCTYPE html><script nonce="{{cspNonce}}"></script>';
+    const nonceOf = res => res.headers['Content-Security-Policy'].match(/'nonce-([^']+)'/)[1];
+
+    const first = await builder.send(page);
+    const second = await builder.send(page);
+    expect(nonceOf(first)).not.toBe(nonceOf(second));
+    expect(second.body).toContain(`nonce="${nonceOf(second)}"`);
+    expect(builder.cspNonce).toBe(nonceOf(second));
+    expect(builder.hasHeader('Content-Security-Policy')).toBe(false);
+  });
+
+  it('accepts overrides and keeps headers already set', async () => {
+    const res = await new ResponseBuilder({
+      headers: { 'referrer-policy': 'origin' },
+      security: {
+        contentSecurityPolicy: {
+          directives: { 'default-src': ["'none'"], 'img-src': ["'self'", 'data:'] },
+          nonce: false,
+          reportOnly: true,
+        },
+        strictTransportSecurity: { maxAge: 63072000, preload: true },
+        crossOriginEmbedderPolicy: 'require-corp',
+        permissionsPolicy: { geolocation: ['self', 'https://maps.example.com'], fullscreen: ['*'] },
+        noSniff: false,
+      },
+    }).send('ok');
+
+    expect(res.headers['Content-Security-Policy-Report-Only']).toBe(
+      "default-src 'none'; img-src 'self' data:"
+    );
+    expect(res.headers['Strict-Transport-Security']).toBe(
+      'max-age=63072000; includeSubDomains; preload'
+    );
+    expect(res.headers['Cross-Origin-Embedder-Policy']).toBe('require-corp');
+    expect(res.headers['Permissions-Policy']).toBe(
+      'geolocation=(self "https://maps.example.com"), fullscreen=(*)'
+    );
+    expect(res.headers['X-Content-Type-Options']).toBeUndefined();
+    expect(res.headers['referrer-policy']).toBe('origin');
+    expect(res.headers['Referrer-Policy']).toBeUndefined();
+  });
+
+  it('can be registered as a global interceptor', async () => {
+    const interceptor = securityHeadersInterceptor({ strictTransportSecurity: false });
+    interceptors.use(interceptor);
+    try {
+      const res = await httpResponder.ok(
+        '<svg xmlns="http://www.w3.org/2000/svg" nonce="{{cspNonce}}"></svg>'
+      );
+      expect(res.headers['Strict-Transport-Security']).toBeUndefined();
+      expect(res.body).not.toContain('{{cspNonce}}');
+      expect(res.headers['Content-Security-Policy']).toContain(
+        res.body.match(/nonce="([^"]+)"/)[1]
+      );
+      expect((await ipcResponder.ok('x')).headers).toBeUndefined();
+    } finally {
+      interceptors.remove(interceptor);
+    }
+  });
+});
+
+describe('custom protocols', () => {
+  const rapidResponder = require('../src');
+  let failFormatter = false;
+
+  beforeAll(() => {
+    rapidResponder.registerProtocol('queue', (processedBody, builder) => {
+      if (failFormatter) throw new Error('broken formatter');
+      return {
+        status: builder.statusCode,
+        payload: processedBody.body,
+        contentType: processedBody.type,
+        attributes: builder.getHeaders(),
+      };
+    });
+  });
+
+  it('adds the protocol to the supported list', () => {
+    expect(rapidResponder.listProtocols()).toEqual(['http', 'ipc', 'socket', 'queue']);
+    expect(PROTOCOLS).not.toHaveProperty('QUEUE');
+  });
+
+  it('formats builder responses with the registered formatter', async () => {
+    const res = await new ResponseBuilder({ protocol: 'queue', headers: { priority: 'high' } })
+      .status(202)
+      .send({ job: 1 });
+    expect(res).toMatchObject({
+      status: 202,
+      payload: { job: 1 },
+      contentType: 'application/json',
+      attributes: { priority: 'high' },
+    });
+    expect(res).not.toHaveProperty('type');
+  });
+
+  it('returns string and async formatter results unchanged', async () => {
+    rapidResponder.registerProtocol('line', processedBody => `${processedBody.body}\n`);
+    rapidResponder.registerProtocol('deferred', async (processedBody, builder) => ({
+      code: builder.statusCode,
+      data: processedBody.body,
+    }));
+    expect(await rapidResponder.lineResponder.ok('hello')).toBe('hello\n');
+    expect(await rapidResponder.deferredResponder.created({ id: 1 })).toEqual({
+      code: 201,
+      data: { id: 1 },
+    });
+  });
+
+  it('exports a responder with every status code method', async () => {
+    const { queueResponder } = rapidResponder;
+    expect(Object.keys(queueResponder)).toEqual([
+      ...Object.keys(rapidResponder.STATUS_CODES),
+      'paginated',
+      'redirect',
+    ]);
+    const res = await queueResponder.notFound('missing');
+    expect(res).toMatchObject({ status: 404, payload: 'missing' });
+  });
+
+  it('adds method context to responder errors', async () => {
+    failFormatter = true;
+    await expect(rapidResponder.queueResponder.ok('x')).rejects.toMatchObject({
+      message: 'broken formatter',
+      method: 'ok',
+      protocol: 'queue',
+    });
+    failFormatter = false;
+  });
+
+  it('validates registrations', () => {
+    expect(() => rapidResponder.registerProtocol('http', () => ({}))).toThrow(
+      'Protocol already registered: http'
+    );
+    expect(() => rapidResponder.registerProtocol('queue', () => ({}))).toThrow(
+      'Protocol already registered'
+    );
+    expect(() => rapidResponder.registerProtocol('koa', () => ({}))).toThrow(
+      'Protocol name conflicts with the koaResponder export'
+    );
+    expect(() => rapidResponder.registerProtocol('express', () => ({}))).toThrow(
+      'conflicts with the expressResponder export'
+    );
+    expect(rapidResponder.koaResponder).toBe(koaResponder);
+    expect(() => rapidResponder.registerProtocol('1bad', () => ({}))).toThrow(
+      'Invalid protocol name'
+    );
+    expect(() => rapidResponder.registerProtocol('other')).toThrow(
+      'Protocol formatter must be a function'
+    );
+    expect(() => new ResponseBuilder({ protocol: 'other' })).toThrow(
+      'Must be one of: http, ipc, socket, queue'
+    );
+  });
+});
+
+describe('status codes', () => {
+  it('covers the IANA registry with reason phrases', () => {
+    expect(STATUS_CODES).toMatchObject({
+      earlyHints: 103,
+      movedPermanently: 301,
+      seeOther: 303,
+      permanentRedirect: 308,
+      gone: 410,
+      contentTooLarge: 413,
+      unsupportedMediaType: 415,
+      unprocessableContent: 422,
+      unprocessableEntity: 422,
+      unavailableForLegalReasons: 451,
+      networkAuthenticationRequired: 511,
+    });
+    Object.values(STATUS_CODES).forEach(code => {
+      expect(STATUS_MESSAGES[code]).toEqual(expect.any(String));
+    });
+    expect(ResponseHelper.getStatusMessage(413)).toBe('Content Too Large');
+    expect(ResponseHelper.getStatusMessage(418)).toBe("I'm a Teapot");
+    expect(ResponseHelper.getStatusMessage(599)).toBe('Unknown Error');
+  });
+
+  it('classifies status codes', () => {
+    expect(ResponseHelper.isInformational(101)).toBe(true);
+    expect(ResponseHelper.isSuccess(206)).toBe(true);
+    expect(ResponseHelper.isSuccess(301)).toBe(false);
+    expect(ResponseHelper.isRedirect(307)).toBe(true);
+    expect(ResponseHelper.isClientError(451)).toBe(true);
+    expect(ResponseHelper.isClientError(500)).toBe(false);
+    expect(ResponseHelper.isServerError(511)).toBe(true);
+    expect(ResponseHelper.isSuccess('200')).toBe(false);
+  });
+
+  it('adds a responder method for every code', async () => {
+    const gone = await httpResponder.gone('Removed');
+    expect(gone).toMatchObject({ statusCode: 410, statusMessage: 'Gone', body: 'Removed' });
+    expect((await ipcResponder.unavailableForLegalReasons(null)).statusCode).toBe(451);
+    expect((await socketResponder.contentTooLarge('Too big')).statusCode).toBe(413);
+    expect((await httpResponder.unprocessableEntity({})).statusMessage).toBe(
+      'Unprocessable Content'
+    );
+  });
+});
+
+describe('pagination', () => {
+  it('builds page-based Link and X-Total-Count headers', async () => {
+    const res = await httpResponder.paginated(['c', 'd'], {
+      page: 2,
+      perPage: 2,
+      total: 5,
+      baseUrl: '/api/users?sort=name',
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      items: ['c', 'd'],
+      pagination: { page: 2, perPage: 2, total: 5, totalPages: 3 },
+    });
+    expect(res.headers['X-Total-Count']).toBe('5');
+    expect(res.headers.Link).toBe(
+      [
+        '</api/users?sort=name&page=1&per_page=2>; rel="first"',
+        '</api/users?sort=name&page=1&per_page=2>; rel="prev"',
+        '</api/users?sort=name&page=3&per_page=2>; rel="next"',
+        '</api/users?sort=name&page=3&per_page=2>; rel="last"',
+      ].join(', ')
+    );
+  });
+
+  it('infers the next page without a total and omits links without a baseUrl', () => {
+    const full = ResponseHelper.paginate([1, 2], { perPage: 2, baseUrl: 'https://api.test/items' });
+    expect(Object.keys(full.links)).toEqual(['first', 'next']);
+    expect(full.links.next).toBe('https://api.test/items?page=2&per_page=2');
+
+    const partial = ResponseHelper.paginate([1], { perPage: 2, page: 3 });
+    expect(partial.links).toEqual({});
+    expect(partial.body.pagination).toEqual({ page: 3, perPage: 2 });
+  });
+
+  it('omits the next link when the page size is only inferred', async () => {
+    const res = await httpResponder.paginated([1, 2, 3], { baseUrl: '/items' });
+    expect(res.body.pagination).toEqual({ page: 1, perPage: 3 });
+    expect(res.headers.Link).toBe('</items?page=1&per_page=3>; rel="first"');
+  });
+
+  it('supports cursor-based pagination', async () => {
+    const res = await httpResponder.paginated([1], {
+      perPage: 1,
+      cursor: { next: 'b2', prev: 'a1' },
+      baseUrl: '/feed?cursor=old',
+    });
+    expect(res.body.pagination).toEqual({
+      perPage: 1,
+      nextCursor: 'b2',
+      prevCursor: 'a1',
+    });
+    expect(res.headers.Link).toBe(
+      '</feed?per_page=1>; rel="first", </feed?cursor=a1&per_page=1>; rel="prev", ' +
+        '</feed?cursor=b2&per_page=1>; rel="next"'
+    );
+    expect(res.headers['X-Total-Count']).toBeUndefined();
+  });
+
+  it('puts links and totals into IPC and socket envelopes', async () => {
+    const pagination = { page: 1, perPage: 2, total: 3, baseUrl: '/items' };
+    const ipc = await ipcResponder.paginated([1, 2], pagination);
+    expect(ipc.body.items).toEqual([1, 2]);
+    expect(ipc.totalCount).toBe(3);
+    expect(ipc.links).toEqual({
+      first: '/items?page=1&per_page=2',
+      next: '/items?page=2&per_page=2',
+      last: '/items?page=2&per_page=2',
+    });
+
+    const socket = await socketResponder.paginated([1, 2], pagination);
+    expect(socket.message.pagination.totalPages).toBe(2);
+    expect(socket.links.last).toBe('/items?page=2&per_page=2');
+  });
+
+  it('rejects invalid pagination input', async () => {
+    await expect(httpResponder.paginated('nope')).rejects.toThrow(TypeError);
+    await expect(httpResponder.paginated([], { page: 0 })).rejects.toMatchObject({
+      message: 'Invalid page: 0. Must be a positive integer',
+      method: 'paginated',
+    });
+    expect(() => ResponseHelper.paginate([], { total: -1 })).toThrow('Invalid total');
+  });
+});
+
+describe('error mapping', () => {
+  class DatabaseError extends Error {}
+  class UniqueViolation extends DatabaseError {}
+
+  it('builds typed HTTP errors', () => {
+    const notFound = new NotFoundError('No such user');
+    expect(notFound).toBeInstanceOf(HttpError);
+    expect(notFound).toMatchObject({ statusCode: 404, code: 'NOT_FOUND', expose: true });
+    expect(new ConflictError().message).toBe('Conflict');
+    expect(new MethodNotAllowedError(undefined, { allow: ['GET', 'HEAD'] }).headers).toEqual({
+      Allow: 'GET, HEAD',
+    });
+    expect(new ValidationError('Bad input', { email: ['required', 'invalid'] }).errors).toEqual([
+      { field: 'email', message: 'required' },
+      { field: 'email', message: 'invalid' },
+    ]);
+    expect(new HttpError(502).expose).toBe(false);
+    expect(() => new HttpError(302)).toThrow('Invalid status code: 302');
+  });
+
+  it('sends typed errors with their status and a safe body', async () => {
+    const error = new ValidationError('Bad input', [{ field: 'name', message: 'required' }]);
+    error.query = 'SELECT 1';
+    const res = await new ResponseBuilder().send(error);
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toEqual({
+      name: 'ValidationError',
+      message: 'Bad input',
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: 'name', message: 'required' }],
+    });
+
+    const down = await httpResponder.ok(
+      new ServiceUnavailableError('Replica lag on db-3', { retryAfter: 30 })
+    );
+    expect(down.statusCode).toBe(503);
+    expect(down.headers['Retry-After']).toBe('30');
+    expect(down.body).toEqual({
+      name: 'ServiceUnavailableError',
+      message: 'Service Unavailable',
+      code: 'SERVICE_UNAVAILABLE',
+    });
+
+    const until = new Date('2026-01-01T00:00:00Z');
+    expect(new TooManyRequestsError(undefined, { retryAfter: until }).headers).toEqual({
+      'Retry-After': 'Thu, 01 Jan 2026 00:00:00 GMT',
+    });
+    expect(new ServiceUnavailableError(undefined, { retryAfter: 1.5 }).headers).toEqual({
+      'Retry-After': '2',
+    });
+    expect(() => new TooManyRequestsError(undefined, { retryAfter: 'soon' })).toThrow(
+      'Invalid retryAfter: soon'
+    );
+  });
+
+  it('maps error classes and codes through registries', async () => {
+    const registry = new ErrorRegistry([[UniqueViolation, 409]]).register(DatabaseError, {
+      statusCode: 503,
+      expose: true,
+    });
+    expect(registry.resolve(new UniqueViolation('dup'))).toEqual({ statusCode: 409, expose: true });
+    expect(registry.resolve(new DatabaseError('down'))).toEqual({ statusCode: 503, expose: true });
+    expect(registry.resolve(new Error('x'))).toBeNull();
+    expect(() => registry.register('E_X', 200)).toThrow('Invalid status code: 200');
+
+    const dup = await new ResponseBuilder({ errors: [[UniqueViolation, 409]] }).send(
+      new UniqueViolation('Email taken')
+    );
+    expect(dup.statusCode).toBe(409);
+    expect(dup.body).toEqual({ name: 'Error', message: 'Email taken' });
+
+    errorRegistry.register('E_QUOTA', 429);
+    try {
+      const quota = Object.assign(new Error('Quota exceeded'), { code: 'E_QUOTA' });
+      const res = await socketResponder.ok(quota);
+      expect(res.statusCode).toBe(429);
+      expect(res.message).toEqual({ name: 'Error', message: 'Quota exceeded', code: 'E_QUOTA' });
+    } finally {
+      expect(errorRegistry.unregister('E_QUOTA')).toBe(true);
+    }
+
+    const stream = new Readable({ read() {} });
+    const builder = new ResponseBuilder({ errors: [[DatabaseError, 502]] });
+    const pending = builder.send(stream);
+    stream.destroy(new DatabaseError('gone'));
+    await expect(pending).rejects.toThrow('gone');
+    expect(builder.statusCode).toBe(502);
+  });
+
+  it('keeps the error status chosen by the responder for unmapped errors', async () => {
+    const bad = await httpResponder.badRequest(new Error('Email is required'));
+    expect(bad.statusCode).toBe(400);
+    expect(bad.body).toEqual({ name: 'Error', message: 'Email is required' });
+
+    const unavailable = await ipcResponder.serviceUnavailable(new Error('pool exhausted'));
+    expect(unavailable.statusCode).toBe(503);
+    expect(unavailable.body.message).toBe('Service Unavailable');
+  });
+
+  it('maps thrown errors the same way for IPC handlers and problem details', async () => {
+    const handler = createIpcMainHandler(() => {
+      throw new NotFoundError('No such user', { details: { id: 7 } });
+    });
+    const envelope = await handler({});
+    expect(envelope.statusCode).toBe(404);
+    expect(envelope.body).toEqual({
+      name: 'NotFoundError',
+      message: 'No such user',
+      code: 'NOT_FOUND',
+      details: { id: 7 },
+    });
+
+    const problem = await httpResponder.badRequest(
+      new ValidationError(undefined, { email: 'required' }),
+      { problemDetails: { includeStack: false } }
+    );
+    expect(problem.statusCode).toBe(422);
+    expect(problem.body).toMatchObject({
+      status: 422,
+      title: 'Unprocessable Content',
+      detail: 'Validation failed',
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: 'email', message: 'required' }],
+    });
+  });
+});
+
+describe('rate limiting', () => {
+  it('builds RateLimit and Retry-After headers', () => {
+    const now = Date.UTC(2024, 0, 1);
+    expect(
+      ResponseHelper.rateLimitHeaders(
+        { limit: 100, remaining: 0, reset: new Date(now + 1500), window: 60, retryAfter: 30 },
+        now
+      )
+    ).toEqual({
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '2',
+      'RateLimit-Policy': '100;w=60',
+      'Retry-After': '30',
+    });
+    expect(ResponseHelper.rateLimitHeaders({ retryAfter: new Date(now) })).toEqual({
+      'Retry-After': 'Mon, 01 Jan 2024 00:00:00 GMT',
+    });
+    expect(() => ResponseHelper.normalizeRateLimit({ remaining: -1 })).toThrow(
+      'Invalid rateLimit remaining: -1'
+    );
+  });
+
+  it('sends rate-limit metadata with 429 and 503 responses on every protocol', async () => {
+    const rateLimit = { limit: 10, remaining: 0, reset: 42 };
+    const limited = await httpResponder.tooManyRequests('Slow down', { rateLimit });
+    expect(limited.headers).toMatchObject({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '42',
+      'Retry-After': '42',
+    });
+
+    const ok = await httpResponder.ok('fine', { rateLimit: { limit: 10, remaining: 9 } });
+    expect(ok.headers['RateLimit-Remaining']).toBe('9');
+    expect(ok.headers['Retry-After']).toBeUndefined();
+
+    const ipc = await ipcResponder.serviceUnavailable('Maintenance', {
+      rateLimit: { retryAfter: 120 },
+    });
+    expect(ipc.rateLimit).toEqual({ retryAfter: 120 });
+    const socket = await socketResponder.tooManyRequests(null, { rateLimit });
+    expect(socket.rateLimit).toEqual({ ...rateLimit, retryAfter: 42 });
+  });
+
+  it('limits requests with a token bucket', async () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 2, window: 10000, now: () => now });
+    expect(limiter.consume('a')).toEqual({
+      allowed: true,
+      limit: 2,
+      remaining: 1,
+      reset: 5,
+      window: 10,
+    });
+    expect(limiter.consume('a').allowed).toBe(true);
+    const denied = limiter.consume('a');
+    expect(denied).toMatchObject({ allowed: false, remaining: 0, retryAfter: 5 });
+    expect(limiter.consume('b').allowed).toBe(true);
+
+    const res = await httpResponder.tooManyRequests(null, { rateLimit: denied });
+    expect(res.headers).toMatchObject({ 'Retry-After': '5', 'RateLimit-Policy': '2;w=10' });
+
+    now = 5000;
+    expect(limiter.consume('a')).toMatchObject({ allowed: true, remaining: 0 });
+
+    now = 30000;
+    limiter.consume('c');
+    expect(limiter.size).toBe(1);
+    expect(limiter.reset('c')).toBe(true);
+    expect(() => limiter.consume('c', 3)).toThrow('Invalid rate limit cost: 3');
+    expect(() => new RateLimiter({ limit: 0 })).toThrow('Invalid rate limit: 0');
+  });
+});
+
+describe('response envelopes', () => {
+  it('wraps bodies in JSend documents by status', async () => {
+    const ok = await httpResponder.ok({ id: 1 }, { envelope: 'jsend' });
+    expect(ok.body).toEqual({ status: 'success', data: { id: 1 } });
+    expect(ok.headers['Content-Type']).toBe('application/json');
+
+    const fail = await httpResponder.unprocessableEntity(
+      { message: 'Invalid input', field: 'email' },
+      { envelope: 'jsend' }
+    );
+    expect(fail.body).toEqual({
+      status: 'fail',
+      data: { message: 'Invalid input', field: 'email' },
+    });
+
+    const error = Object.assign(new Error('Database down'), { code: 'E_DB', retryable: true });
+    const failure = await ipcResponder.internalServerError(error, { envelope: 'jsend' });
+    expect(failure.body).toEqual({
+      status: 'error',
+      message: 'Internal Server Error',
+      code: 'E_DB',
+    });
+
+    expect((await httpResponder.ok(null, { envelope: 'jsend' })).body).toEqual({
+      status: 'success',
+      data: null,
+    });
+  });
+
+  it('wraps bodies in JSON:API documents', async () => {
+    const ok = await socketResponder.ok([{ id: '1', type: 'users' }], { envelope: 'jsonapi' });
+    expect(ok.message).toEqual({ data: [{ id: '1', type: 'users' }] });
+    expect(ok.type).toBe('application/vnd.api+json');
+
+    const missing = await httpResponder.notFound('User 7 not found', { envelope: 'jsonapi' });
+    expect(missing.headers['Content-Type']).toBe('application/vnd.api+json');
+    expect(missing.body).toEqual({
+      errors: [{ status: '404', title: 'Not Found', detail: 'User 7 not found' }],
+    });
+  });
+
+  it('supports custom envelope functions', async () => {
+    const envelope = (body, { statusCode, protocol }) => ({ ok: statusCode < 400, protocol, body });
+    const res = await ipcResponder.created({ id: 2 }, { envelope });
+    expect(res.body).toEqual({ ok: true, protocol: 'ipc', body: { id: 2 } });
+  });
+
+  it('leaves Buffers, bodyless statuses and problem details untouched', async () => {
+    const buffer = Buffer.from('raw');
+    expect((await httpResponder.ok(buffer, { envelope: 'jsend' })).body).toBe(buffer);
+    expect((await httpResponder.noContent(null, { envelope: 'jsend' })).body).toBe('');
+
+    const problem = await httpResponder.notFound('gone', {
+      envelope: 'jsend',
+      problemDetails: true,
+    });
+    expect(problem.body).toMatchObject({ status: 404, detail: 'gone' });
+  });
+
+  it('validates the body before wrapping it', async () => {
+    const res = await httpResponder.ok(
+      { id: 1 },
+      { envelope: 'jsend', schema: { type: 'object', required: ['id'] } }
+    );
+    expect(res.body.data).toEqual({ id: 1 });
+    expect(() => new ResponseBuilder({ envelope: 'soap' })).toThrow(
+      'Invalid envelope: soap. Must be a function or one of: jsend, jsonapi'
+    );
+  });
+});
+
+describe('file responses', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-responder-'));
+    fs.mkdirSync(path.join(tmpDir, 'public'));
+    fs.writeFileSync(path.join(tmpDir, 'public', 'report.csv'), 'a,b\n1,2\n');
+    fs.writeFileSync(path.join(tmpDir, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(tmpDir, 'secret.txt'), path.join(tmpDir, 'public', 'leak.txt'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const read = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+  };
+
+  it('builds Content-Disposition values', () => {
+    expect(ResponseHelper.contentDisposition('report.pdf')).toBe(
+      'attachment; filename="report.pdf"'
+    );
+    expect(ResponseHelper.contentDisposition('../"q".txt', true)).toBe(
+      'inline; filename="\\"q\\".txt"'
+    );
+    expect(ResponseHelper.contentDisposition('résumé (1).pdf')).toBe(
+      `attachment; filename="r_sum_ (1).pdf"; filename*=UTF-8''r%C3%A9sum%C3%A9%20%281%29.pdf`
+    );
+    expect(ResponseHelper.contentDisposition(undefined, true)).toBe('inline');
+    expect(ResponseHelper.getMimeType('photo.JPG')).toBe('image/jpeg');
+    expect(ResponseHelper.getMimeType('archive.unknown')).toBe('application/octet-stream');
+  });
+
+  it('streams a file with its metadata', async () => {
+    const stats = fs.statSync(path.join(tmpDir, 'public', 'report.csv'));
+    const res = await new ResponseBuilder().sendFile('report.csv', {
+      root: path.join(tmpDir, 'public'),
+      filename: 'Q1 report.csv',
+      maxAge: 3600,
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.type).toBe('text/csv');
+    expect(res.headers).toMatchObject({
+      'Content-Type': 'text/csv',
+      'Content-Length': String(stats.size),
+      'Content-Disposition': 'attachment; filename="Q1 report.csv"',
+      'Last-Modified': stats.mtime.toUTCString(),
+      'Cache-Control': 'public, max-age=3600',
+    });
+    expect(res.body).toBeInstanceOf(Readable);
+    expect(await read(res.body)).toBe('a,b\n1,2\n');
+  });
+
+  it('serves ranges and conditional requests of files', async () => {
+    const file = path.join(tmpDir, 'public', 'report.csv');
+    const ranged = await new ResponseBuilder({
+      ranges: true,
+      request: { headers: { range: 'bytes=0-2' } },
+    }).sendFile(file, { inline: true });
+    expect(ranged.statusCode).toBe(206);
+    expect(ranged.headers).toMatchObject({
+      'Content-Type': 'text/csv',
+      'Content-Length': '3',
+      'Content-Disposition': 'inline; filename="report.csv"',
+    });
+    expect(await read(ranged.body)).toBe('a,b');
+
+    const since = new Date(Date.now() + 60000).toUTCString();
+    const cached = await new ResponseBuilder({
+      request: { headers: { 'if-modified-since': since } },
+    }).sendFile(file);
+    expect(cached.statusCode).toBe(304);
+    expect(cached.headers['Content-Length']).toBeUndefined();
+
+    const buffered = await new ResponseBuilder({ protocol: 'ipc' }).sendFile(file);
+    expect(buffered.body.toString()).toBe('a,b\n1,2\n');
+  });
+
+  it('blocks paths outside the root and missing files', async () => {
+    const root = path.join(tmpDir, 'public');
+    const builder = new ResponseBuilder();
+    await expect(builder.sendFile('../secret.txt', { root })).rejects.toMatchObject({
+      name: 'ForbiddenError',
+      statusCode: 403,
+    });
+    expect(builder.statusCode).toBe(403);
+    await expect(
+      new ResponseBuilder().sendFile(path.join(tmpDir, 'secret.txt'), { root })
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    const missing = new ResponseBuilder();
+    await expect(missing.sendFile('nope.txt', { root })).rejects.toMatchObject({
+      code: 'ENOENT',
+    });
+    expect(missing.statusCode).toBe(404);
+    await expect(new ResponseBuilder().sendFile('.', { root: tmpDir })).rejects.toMatchObject({
+      statusCode: 403,
+    });
+    await expect(new ResponseBuilder().sendFile('public', { root: tmpDir })).rejects.toMatchObject({
+      name: 'NotFoundError',
+    });
+    await expect(new ResponseBuilder().sendFile('leak.txt', { root })).rejects.toMatchObject({
+      name: 'ForbiddenError',
+    });
+  });
+
+  it('keeps file metadata on a single response', async () => {
+    const builder = new ResponseBuilder({ etag: true });
+    const file = await builder.sendFile('report.csv', { root: path.join(tmpDir, 'public') });
+    file.body.destroy();
+    expect(file.headers.ETag).toMatch(/^W\/"/);
+
+    const next = await builder.send({ ok: true });
+    expect(next.type).toBe('application/json');
+    expect(next.headers['Content-Type']).toBe('application/json');
+    ['Content-Length', 'Content-Disposition', 'Last-Modified'].forEach(name => {
+      expect(next.headers[name]).toBeUndefined();
+    });
+    expect(next.headers.ETag).toBe(ResponseHelper.generateETag('{"ok":true}', true));
+    expect(builder.hasHeader('Content-Disposition')).toBe(false);
+  });
+});
+
+describe('redirects', () => {
+  it('validates and encodes redirect targets', () => {
+    expect(ResponseHelper.resolveRedirect('/docs/a b?q=é#top')).toBe('/docs/a%20b?q=%C3%A9#top');
+    expect(ResponseHelper.resolveRedirect('next', { base: 'https://app.test/users/' })).toBe(
+      'https://app.test/users/next'
+    );
+    expect(
+      ResponseHelper.resolveRedirect('https://login.example.com/sso', {
+        allowedHosts: ['*.example.com'],
+      })
+    ).toBe('https://login.example.com/sso');
+    expect(
+      ResponseHelper.resolveRedirect(new URL('https://cdn.test/x'), { allowedHosts: [/^cdn\./] })
+    ).toBe('https://cdn.test/x');
+
+    const unsafe = ['https://evil.test', '//evil.test/x', '/\\evil.test', 'javascript:alert(1)'];
+    unsafe.forEach(target => {
+      expect(() => ResponseHelper.resolveRedirect(target, { base: 'https://app.test' })).toThrow(
+        UnsafeRedirectError
+      );
+    });
+    expect(() => ResponseHelper.resolveRedirect('/a\r\nSet-Cookie: x=1')).toThrow(
+      'target contains control characters'
+    );
+  });
+
+  it('redirects HTTP responses with a negotiated body', async () => {
+    const text = await httpResponder.redirect('/login?next=/a&b');
+    expect(text.statusCode).toBe(302);
+    expect(text.headers).toMatchObject({ Location: '/login?next=/a&b', Vary: 'Accept' });
+    expect(text.body).toBe('Redirecting to /login?next=/a&b');
+
+    const html = await new ResponseBuilder({
+      request: { headers: { accept: 'text/html' } },
+    }).redirect('/login?next=/a&b', { status: 303 });
+    expect(html.statusCode).toBe(303);
+    expect(html.headers['Content-Type']).toBe('text/html');
+    expect(html.body).toContain('<a href="/login?next=/a&amp;b">');
+
+    await expect(httpResponder.redirect('/x', { status: 200 })).rejects.toThrow(
+      'Invalid redirect status: 200'
+    );
+    await expect(httpResponder.redirect('https://evil.test')).rejects.toMatchObject({
+      code: 'UNSAFE_REDIRECT',
+      method: 'redirect',
+    });
+  });
+
+  it('adds the location to IPC and socket envelopes', async () => {
+    const moved = await ipcResponder.redirect('/settings', { status: 301 });
+    expect(moved).toMatchObject({ statusCode: 301, location: '/settings', body: '' });
+    const socket = await socketResponder.redirect('https://app.test/next', {
+      base: 'https://app.test',
+    });
+    expect(socket).toMatchObject({ statusCode: 302, location: 'https://app.test/next' });
+  });
+
+  it('keeps the redirect target on a single response', async () => {
+    const builder = new ResponseBuilder({ request: { headers: { accept: 'text/html' } } });
+    await builder.redirect('/login');
+    const next = await builder.status(200).send({ ok: true });
+    expect(next.headers.Location).toBeUndefined();
+    expect(next.type).toBe('application/json');
+
+    const ipc = new ResponseBuilder({ protocol: 'ipc' });
+    await ipc.redirect('/login');
+    expect(await ipc.status(200).send('done')).not.toHaveProperty('location');
+  });
+});
+
+describe('cors', () => {
+  const from = (origin, extra = {}) => ({ headers: { origin, ...extra } });
+
+  it('allows any origin by default', async () => {
+    const res = await httpResponder.ok('x', { cors: true, request: from('https://a.test') });
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(res.headers.Vary).toBeUndefined();
+  });
+
+  it('reflects allowed origins from strings, regex lists and functions', async () => {
+    const send = (origin, cors) => httpResponder.ok('x', { cors, request: from(origin) });
+
+    const exact = await send('https://app.test', { origin: 'https://app.test' });
+    expect(exact.headers['Access-Control-Allow-Origin']).toBe('https://app.test');
+    expect(exact.headers.Vary).toBe('Origin');
+
+    const list = { origin: [/\.example\.com$/, 'https://other.test'] };
+    expect((await send('https://api.example.com', list)).headers).toMatchObject({
+      'Access-Control-Allow-Origin': 'https://api.example.com',
+    });
+    const denied = await send('https://evil.test', list);
+    expect(denied.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(denied.headers.Vary).toBe('Origin');
+
+    const fn = { origin: async origin => origin.endsWith('.internal') };
+    expect((await send('https://x.internal', fn)).headers['Access-Control-Allow-Origin']).toBe(
+      'https://x.internal'
+    );
+    expect(
+      (await send('https://x.public', fn)).headers['Access-Control-Allow-Origin']
+    ).toBeUndefined();
+  });
+
+  it('emits credentials and exposed headers on actual responses', async () => {
+    const res = await httpResponder.ok('x', {
+      request: from('https://app.test'),
+      cors: {
+        origin: 'https://app.test',
+        credentials: true,
+        exposedHeaders: ['X-Total-Count', 'Link'],
+      },
+    });
+    expect(res.headers).toMatchObject({
+      'Access-Control-Allow-Origin': 'https://app.test',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Expose-Headers': 'X-Total-Count, Link',
+      Vary: 'Origin',
+    });
+    expect(res.headers['Access-Control-Allow-Methods']).toBeUndefined();
+  });
+
+  it('refuses credentials with the wildcard origin', () => {
+    expect(() => new ResponseBuilder({ cors: { credentials: true } })).toThrow(
+      'cors credentials require an explicit origin allowlist'
+    );
+  });
+
+  it('answers preflight requests with 204', async () => {
+    const request = from('https://app.test', {
+      'access-control-request-method': 'PUT',
+      'access-control-request-headers': 'content-type, x-token',
+    });
+    const res = await httpResponder.preflight(request, {
+      cors: { origin: 'https://app.test', methods: ['GET', 'PUT'], maxAge: 600 },
+    });
+    expect(res.statusCode).toBe(204);
+    expect(res.body).toBe('');
+    expect(res.headers).toMatchObject({
+      'Access-Control-Allow-Origin': 'https://app.test',
+      'Access-Control-Allow-Methods': 'GET, PUT',
+      'Access-Control-Allow-Headers': 'content-type, x-token',
+      'Access-Control-Max-Age': '600',
+      Vary: 'Origin, Access-Control-Request-Headers',
+    });
+
+    const fixed = await httpResponder.preflight(request, {
+      cors: { allowedHeaders: ['Content-Type'] },
+    });
+    expect(fixed.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(fixed.headers['Access-Control-Allow-Headers']).toBe('Content-Type');
+    expect(fixed.headers.Vary).toBeUndefined();
+  });
+
+  it('validates the origin option', () => {
+    expect(() => new ResponseBuilder({ cors: { origin: 42 } })).toThrow('Invalid cors origin: 42');
+  });
+});
+
+describe('cookies', () => {
+  it('serializes cookie attributes', async () => {
+    const expires = new Date('2030-01-01T00:00:00.000Z');
+    const res = await new ResponseBuilder()
+      .cookie('session', 'a b;c', {
+        maxAge: 3600,
+        expires,
+        domain: 'example.com',
+        path: '/app',
+        secure: true,
+        httpOnly: true,
+        sameSite: 'none',
+        partitioned: true,
+      })
+      .send('ok');
+    expect(res.headers['Set-Cookie']).toEqual([
+      'session=a%20b%3Bc; Max-Age=3600; Expires=Tue, 01 Jan 2030 00:00:00 GMT; ' +
+        'Domain=example.com; Path=/app; Secure; HttpOnly; SameSite=None; Partitioned',
+    ]);
+  });
+
+  it('replaces cookies with the same name and path and clears cookies', async () => {
+    const res = await new ResponseBuilder({ headers: { 'Set-Cookie': 'theme=dark' } })
+      .cookie('token', 'old')
+      .cookie('token', 'new')
+      .cookie('token', 'scoped', { path: '/admin' })
+      .clearCookie('legacy', { path: '/old', maxAge: 10 })
+      .send('ok');
+    expect(res.headers['Set-Cookie']).toEqual([
+      'theme=dark',
+      'token=new; Path=/',
+      'token=scoped; Path=/admin',
+      'legacy=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/old',
+    ]);
+  });
+
+  it('signs cookies with the configured secret', async () => {
+    const builder = new ResponseBuilder({ cookieSecret: ['current', 'previous'] });
+    const res = await builder.cookie('uid', '42', { signed: true }).send('ok');
+    const [pair] = res.headers['Set-Cookie'][0].split(';');
+    const signed = decodeURIComponent(pair.slice('uid='.length));
+
+    expect(signed.startsWith('s:42.')).toBe(true);
+    expect(ResponseHelper.unsignCookie(signed, 'current')).toBe('42');
+    expect(ResponseHelper.unsignCookie(signed, ['rotated', 'current'])).toBe('42');
+    expect(ResponseHelper.unsignCookie(signed, 'wrong')).toBe(false);
+    expect(ResponseHelper.unsignCookie(signed.replace('42', '43'), 'current')).toBe(false);
+    expect(() => new ResponseBuilder().cookie('uid', '42', { signed: true })).toThrow(
+      'Signed cookies require the cookieSecret option'
+    );
+  });
+
+  it('rejects invalid cookies', () => {
+    const builder = new ResponseBuilder();
+    expect(() => builder.cookie('bad name', 'x')).toThrow('Invalid cookie name: bad name');
+    expect(() => builder.cookie('a', 'x', { sameSite: 'None' })).toThrow(
+      'Cookies with SameSite=None must be secure'
+    );
+    expect(() => builder.cookie('a', 'x', { sameSite: 'loose' })).toThrow(
+      'Invalid cookie sameSite'
+    );
+    expect(() => builder.cookie('a', 'x', { path: '/\r\nX-Evil: 1' })).toThrow(
+      'Invalid cookie path'
+    );
+    expect(() => builder.cookie('a', 'x', { partitioned: true })).toThrow(
+      'Partitioned cookies must be secure'
+    );
+  });
+
+  it('does not add cookies to IPC envelopes', async () => {
+    const res = await new ResponseBuilder({ protocol: PROTOCOLS.IPC }).cookie('a', '1').send('ok');
+    expect(res.headers).toBeUndefined();
+  });
+});
+
+describe('protocol responders', () => {
+  it('httpResponder.ok returns HTTP response', async () => {
+    const res = await httpResponder.ok('hi');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe('hi');
+    expect(res.headers['Content-Type']).toBe('text/plain');
+  });
+  it('httpResponder.ok handles object body', async () => {
+    const res = await httpResponder.ok({ foo: 'bar' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ foo: 'bar' });
+    expect(res.headers['Content-Type']).toBe('application/json');
+  });
+  it('ipcResponder.notFound returns IPC response', async () => {
+    const res = await ipcResponder.notFound('no');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toBe('no');
+    expect(res.type).toBe('text/plain');
+  });
+  it('ipcResponder.notFound handles stream body', async () => {
+    const stream = new Readable();
+    stream._read = () => {};
+    stream.push('abc');
+    stream.push(null);
+    const res = await ipcResponder.notFound(stream);
+    expect(res.body.equals(Buffer.from('abc'))).toBe(true);
+    expect(res.type).toBe('application/octet-stream');
+    expect(res.size).toBe(3);
+    stream.destroy();
+  });
+  it('socketResponder.internalServerError returns Socket response', async () => {
+    const res = await socketResponder.internalServerError('fail');
+    expect(res.statusCode).toBe(500);
+    expect(res.message).toBe('fail');
+    expect(res.type).toBe('text/plain');
+  });
+  it('socketResponder.internalServerError handles object body', async () => {
+    const res = await socketResponder.internalServerError({ err: true });
+    expect(res.statusCode).toBe(500);
+    expect(res.message).toEqual({ err: true });
+    expect(res.type).toBe('application/json');
+  });
+  it('httpResponder.ok with stream body throws on stream error', async () => {
+    const stream = new Readable();
+    stream._read = () => {};
+    const promise = httpResponder.ok(stream);
+    stream.emit('error', new Error('fail'));
+    await expect(promise).rejects.toThrow('fail');
+    stream.destroy();
+  });
+});
+
+describe('framework adapters', () => {
+  let server;
+
+  const listen = handler =>
+    new Promise(resolve => {
+      server = http.createServer(handler);
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    });
+
+  const request = (port, method = 'GET') =>
+    new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, method }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+      });
+      req.on('error', reject);
+      req.end();
+    });
+
+  afterEach(done => {
+    if (server) server.close(() => done());
+    else done();
+    server = null;
+  });
+
+  it('toNodeResponse writes one Set-Cookie header per cookie', async () => {
+    const port = await listen(async (req, res) => {
+      const response = await new ResponseBuilder()
+        .cookie('a', '1')
+        .cookie('b', '2', { httpOnly: true })
+        .send('ok');
+      await toNodeResponse(res, response);
+    });
+    const res = await request(port);
+    expect(res.headers['set-cookie']).toEqual(['a=1; Path=/', 'b=2; Path=/; HttpOnly']);
+  });
+
+  it('toNodeResponse writes JSON bodies', async () => {
+    const port = await listen(async (req, res) => {
+      await toNodeResponse(
+        res,
+        await httpResponder.created({ id: 1 }, { headers: { 'X-A': '1' } })
+      );
+    });
+    const res = await request(port);
+    expect(res.status).toBe(201);
+    expect(res.statusMessage).toBe('Created');
+    expect(res.headers['content-type']).toBe('application/json');
+    expect(res.headers['x-a']).toBe('1');
+    expect(res.headers['content-length']).toBe('8');
+    expect(JSON.parse(res.body.toString())).toEqual({ id: 1 });
+  });
+
+  it('toNodeResponse writes strings and Buffers', async () => {
+    const port = await listen(async (req, res) => {
+      const body = req.method === 'POST' ? Buffer.from([1, 2, 3]) : 'hello';
+      await toNodeResponse(res, await httpResponder.ok(body));
+    });
+    const text = await request(port);
+    expect(text.headers['content-type']).toBe('text/plain');
+    expect(text.body.toString()).toBe('hello');
+    const binary = await request(port, 'POST');
+    expect(binary.headers['content-type']).toBe('application/octet-stream');
+    expect([...binary.body]).toEqual([1, 2, 3]);
+  });
+
+  it('toNodeResponse pipes stream bodies', async () => {
+    const port = await listen(async (req, res) => {
+      const source = Readable.from([Buffer.from('chunk-1 '), Buffer.from('chunk-2')]);
+      await toNodeResponse(res, await httpResponder.ok(source, { streaming: true }));
+    });
+    const res = await request(port);
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe('chunk-1 chunk-2');
+  });
+
+  it('toNodeResponse settles when the client disconnects mid-stream', async () => {
+    const source = new Readable({ read() {} });
+    let written;
+    const port = await listen(async (req, res) => {
+      written = toNodeResponse(res, await httpResponder.ok(source, { streaming: true }));
+      source.push('partial');
+    });
+    await new Promise(resolve => {
+      const req = http.request({ host: '127.0.0.1', port }, res => {
+        res.once('data', () => req.destroy());
+      });
+      req.on('close', resolve);
+      req.on('error', () => {});
+      req.end();
+    });
+    await expect(written).resolves.toBeUndefined();
+    expect(source.destroyed).toBe(true);
+  });
+
+  it('toNodeResponse omits the body for 204 and HEAD', async () => {
+    const port = await listen(async (req, res) => {
+      const response =
+        req.method === 'HEAD' ? await httpResponder.ok('text') : await httpResponder.noContent('x');
+      await toNodeResponse(res, response);
+    });
+    const noContent = await request(port);
+    expect(noContent.status).toBe(204);
+    expect(noContent.body.length).toBe(0);
+    const head = await request(port, 'HEAD');
+    expect(head.status).toBe(200);
+    expect(head.body.length).toBe(0);
+  });
+
+  it('toNodeResponse rejects when headers were already sent', async () => {
+    const res = { setHeader() {}, end() {}, headersSent: true };
+    await expect(toNodeResponse(res, await httpResponder.ok('x'))).rejects.toThrow(
+      'headers already sent'
+    );
+  });
+
+  it('expressResponder adds res.respond', async () => {
+    const middleware = expressResponder();
+    const port = await listen((req, res) => {
+      middleware(req, res, () => res.respond(httpResponder.notFound({ error: 'missing' })));
+    });
+    const res = await request(port);
+    expect(res.status).toBe(404);
+    expect(JSON.parse(res.body.toString())).toEqual({ error: 'missing' });
+  });
+
+  describe('koa', () => {
+    const createContext = () => {
+      const ctx = { headers: {}, status: 404, body: undefined };
+      ctx.set = (name, value) => {
+        ctx.headers[name] = value;
+      };
+      return ctx;
+    };
+
+    it('bindKoaContext maps status, headers and body', async () => {
+      const ctx = bindKoaContext(createContext(), await httpResponder.ok({ a: 1 }));
+      expect(ctx.status).toBe(200);
+      expect(ctx.headers['Content-Type']).toBe('application/json');
+      expect(ctx.body).toBe('{"a":1}');
+    });
+
+    it('bindKoaContext keeps Buffer and stream bodies', async () => {
+      const buffer = Buffer.from('abc');
+      expect(bindKoaContext(createContext(), await httpResponder.ok(buffer)).body).toBe(buffer);
+      const source = Readable.from(['x']);
+      const response = await httpResponder.ok(source, { streaming: true });
+      expect(bindKoaContext(createContext(), response).body).toBe(response.body);
+    });
+
+    it('koaResponder adds ctx.respondWith', async () => {
+      const ctx = createContext();
+      await koaResponder()(ctx, async () => {
+        await ctx.respondWith(httpResponder.accepted('queued'));
+      });
+      expect(ctx.status).toBe(202);
+      expect(ctx.body).toBe('queued');
+    });
+  });
+});
+
+describe('electron ipc', () => {
+  // Structured clone through v8 serialization, like Electron does between processes
+  const structuredCopy = value => v8.deserialize(v8.serialize(value));
+
+  const createFakeIpc = () => {
+    const handlers = new Map();
+    const ipcMain = {
+      handle: (channel, listener) => {
+        if (handlers.has(channel)) throw new Error(`Handler already registered: ${channel}`);
+        handlers.set(channel, listener);
+      },
+      removeHandler: channel => handlers.delete(channel),
+    };
+    const ipcRenderer = {
+      invoke: async (channel, ...args) => {
+        const listener = handlers.get(channel);
+        if (!listener) throw new Error(`No handler registered for '${channel}'`);
+        return structuredCopy(await listener({ sender: {} }, ...structuredCopy(args)));
+      },
+    };
+    return { ipcMain, ipcRenderer, handlers };
+  };
+
+  it('round-trips Buffer, Date, Map, Set and Error values', () => {
+    const value = {
+      buffer: Buffer.from('bytes'),
+      date: new Date('2024-01-02T03:04:05.000Z'),
+      map: new Map([['key', new Set([1, 2])]]),
+      list: [new Date(0)],
+      error: Object.assign(new TypeError('boom'), { code: 'E_BOOM' }),
+      __rapidResponderType: 'Buffer',
+    };
+    const decoded = ResponseHelper.decodeCloneSafe(
+      structuredCopy(ResponseHelper.encodeCloneSafe(value))
+    );
+    expect(Buffer.isBuffer(decoded.buffer)).toBe(true);
+    expect(decoded.buffer.toString()).toBe('bytes');
+    expect(decoded.date).toEqual(value.date);
+    expect(decoded.map.get('key')).toEqual(new Set([1, 2]));
+    expect(decoded.list[0]).toEqual(new Date(0));
+    expect(decoded.error).toBeInstanceOf(Error);
+    expect(decoded.error).toMatchObject({ name: 'TypeError', message: 'boom', code: 'E_BOOM' });
+    expect(decoded.__rapidResponderType).toBe('Buffer');
+  });
+
+  it('rejects circular structures', () => {
+    const value = { a: 1 };
+    value.self = value;
+    expect(() => ResponseHelper.encodeCloneSafe(value)).toThrow(TypeError);
+    const shared = { a: 1 };
+    expect(ResponseHelper.encodeCloneSafe({ x: shared, y: shared })).toEqual({
+      x: shared,
+      y: shared,
+    });
+  });
+
+  it('wraps handler results in ipcResponder envelopes', async () => {
+    const { ipcMain, ipcRenderer } = createFakeIpc();
+    handleIpc(ipcMain, 'file:read', async (event, name) => ({ name, data: Buffer.from('hi') }));
+
+    const body = await invokeIpc(ipcRenderer, 'file:read', 'a.txt');
+    expect(body.name).toBe('a.txt');
+    expect(body.data.toString()).toBe('hi');
+  });
+
+  it('passes through envelopes returned by the handler', async () => {
+    const { ipcMain, ipcRenderer } = createFakeIpc();
+    handleIpc(ipcMain, 'job', () => ipcResponder.accepted({ id: 7 }));
+    const envelope = decodeIpcResponse(await ipcRenderer.invoke('job'));
+    expect(envelope.statusCode).toBe(202);
+    expect(envelope.body).toEqual({ id: 7 });
+  });
+
+  it('turns thrown errors into typed renderer errors', async () => {
+    const { ipcMain, ipcRenderer } = createFakeIpc();
+    handleIpc(ipcMain, 'user:get', () => {
+      throw Object.assign(new Error('User not found'), { statusCode: 404, code: 'E_NO_USER' });
+    });
+    handleIpc(ipcMain, 'crash', () => {
+      throw new Error('kaput');
+    });
+
+    const error = await invokeIpc(ipcRenderer, 'user:get').catch(err => err);
+    expect(error).toBeInstanceOf(IpcResponseError);
+    expect(error).toMatchObject({ statusCode: 404, code: 'E_NO_USER', message: 'User not found' });
+    expect(error.body.stack).toBeUndefined();
+
+    const crash = await invokeIpc(ipcRenderer, 'crash').catch(err => err);
+    expect(crash.statusCode).toBe(500);
+    expect(crash.code).toBe('IPC_RESPONSE');
+    expect(crash.body).toEqual({ name: 'Error', message: 'Internal Server Error' });
+  });
+
+  it('does not leak properties of unmapped errors', async () => {
+    const handler = createIpcMainHandler(() => {
+      throw Object.assign(new Error('db password=hunter2'), {
+        query: 'SELECT *',
+        connectionString: 'postgres://db',
+      });
+    });
+    const { body, statusCode } = ResponseHelper.decodeCloneSafe(await handler({ sender: {} }));
+    expect(statusCode).toBe(500);
+    expect(body).toEqual({ name: 'Error', message: 'Internal Server Error' });
+  });
+
+  it('includes stacks when asked and removes handlers', async () => {
+    const { ipcMain, ipcRenderer, handlers } = createFakeIpc();
+    const dispose = handleIpc(
+      ipcMain,
+      'fail',
+      () => {
+        throw new Error('nope');
+      },
+      { includeStack: true }
+    );
+    const error = await invokeIpc(ipcRenderer, 'fail').catch(err => err);
+    expect(error.body.stack).toContain('nope');
+
+    dispose();
+    expect(handlers.has('fail')).toBe(false);
+  });
+
+  it('validates handlers and envelopes', () => {
+    expect(() => createIpcMainHandler('nope')).toThrow(TypeError);
+    expect(() => handleIpc({}, 'x', () => {})).toThrow(TypeError);
+    expect(() => decodeIpcResponse({ body: 'x' })).toThrow('Invalid IPC response envelope');
+  });
+});
+
+describe('socket adapters', () => {
+  const { EventEmitter } = require('events');
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const createSocketIo = () => {
+    const socket = new EventEmitter();
+    socket.id = 'socket-1';
+    socket.emitted = [];
+    socket.emit = (event, ...args) => {
+      socket.emitted.push([event, ...args]);
+      return true;
+    };
+    // Simulate an incoming client event
+    socket.receive = (event, ...args) => socket.listeners(event).forEach(fn => fn(...args));
+    return socket;
+  };
+
+  const createWebSocket = () => {
+    const ws = new EventEmitter();
+    ws.OPEN = 1;
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (data, options) => ws.sent.push({ data, options });
+    return ws;
+  };
+
+  it('acknowledges Socket.IO events with correlated envelopes', async () => {
+    const socket = createSocketIo();
+    bindSocketIo(socket, 'user:get', ({ userId }) => ({ userId, name: 'Ada' }), {
+      headers: { 'X-Server': 'a' },
+      meta: s => ({ socketId: s.id }),
+    });
+
+    const ack = jest.fn();
+    socket.receive('user:get', { id: 'req-1', userId: 7 }, ack);
+    await flush();
+
+    expect(ack).toHaveBeenCalledTimes(1);
+    expect(ack.mock.calls[0][0]).toMatchObject({
+      id: 'req-1',
+      statusCode: 200,
+      message: { userId: 7, name: 'Ada' },
+      headers: { 'X-Server': 'a' },
+      meta: { socketId: 'socket-1' },
+    });
+  });
+
+  it('emits a reply event without an ack and maps thrown errors', async () => {
+    const socket = createSocketIo();
+    const off = bindSocketIo(socket, 'save', () => {
+      throw Object.assign(new Error('Conflict'), { status: 409 });
+    });
+
+    socket.receive('save', { id: 3 });
+    await flush();
+    const [event, reply] = socket.emitted[0];
+    expect(event).toBe('save:response');
+    expect(reply).toMatchObject({ id: 3, statusCode: 409, message: { message: 'Conflict' } });
+    expect(reply.message.stack).toBeUndefined();
+
+    off();
+    expect(socket.listenerCount('save')).toBe(0);
+  });
+
+  it('keeps Buffer bodies binary and passes returned envelopes through', async () => {
+    const socket = createSocketIo();
+    bindSocketIo(socket, 'file', () => Buffer.from('raw'));
+    bindSocketIo(socket, 'job', () => socketResponder.accepted('queued'));
+
+    const fileAck = jest.fn();
+    const jobAck = jest.fn();
+    socket.receive('file', 'a.bin', fileAck);
+    socket.receive('job', {}, jobAck);
+    await flush();
+
+    expect(Buffer.isBuffer(fileAck.mock.calls[0][0].message)).toBe(true);
+    expect(fileAck.mock.calls[0][0].type).toBe('application/octet-stream');
+    expect(jobAck.mock.calls[0][0]).toMatchObject({ statusCode: 202, message: 'queued' });
+  });
+
+  it('answers ws requests with correlated JSON frames', async () => {
+    const ws = createWebSocket();
+    const handler = jest.fn((data, context) => ({ echo: data, event: context.event }));
+    bindWebSocket(ws, handler, { headers: () => ({ 'X-Node': 'n1' }) });
+
+    ws.emit('message', Buffer.from(JSON.stringify({ id: 9, event: 'echo', data: 'hi' })), false);
+    await flush();
+
+    expect(ws.sent[0].options).toEqual({ binary: false });
+    expect(JSON.parse(ws.sent[0].data)).toMatchObject({
+      id: 9,
+      statusCode: 200,
+      message: { echo: 'hi', event: 'echo' },
+      headers: { 'X-Node': 'n1' },
+    });
+  });
+
+  it('sends binary frames for octet-stream bodies and accepts binary requests', async () => {
+    const ws = createWebSocket();
+    bindWebSocket(ws, data => Buffer.concat([data, Buffer.from('!')]));
+
+    const request = ResponseHelper.encodeSocketFrame({ id: 'b1', event: 'up' }, Buffer.from('ab'));
+    ws.emit('message', request, true);
+    await flush();
+
+    expect(ws.sent[0].options).toEqual({ binary: true });
+    const { header, payload } = ResponseHelper.decodeSocketFrame(ws.sent[0].data);
+    expect(header).toMatchObject({ id: 'b1', statusCode: 200, type: 'application/octet-stream' });
+    expect(payload.toString()).toBe('ab!');
+  });
+
+  it('answers malformed ws requests with 400 and skips closed sockets', async () => {
+    const ws = createWebSocket();
+    const off = bindWebSocket(ws, () => 'ok');
+
+    ws.emit('message', Buffer.from('not json'), false);
+    await flush();
+    expect(JSON.parse(ws.sent[0].data)).toMatchObject({ statusCode: 400 });
+
+    ws.readyState = 3;
+    ws.emit('message', Buffer.from('{"id":1}'), false);
+    await flush();
+    expect(ws.sent).toHaveLength(1);
+
+    off();
+    expect(ws.listenerCount('message')).toBe(0);
+  });
+
+  it('does not leak properties of unmapped errors', async () => {
+    const leak = () => {
+      throw Object.assign(new Error('db password=hunter2'), { connectionString: 'postgres://db' });
+    };
+    const socket = createSocketIo();
+    bindSocketIo(socket, 'q', leak);
+    const ack = jest.fn();
+    socket.receive('q', {}, ack);
+
+    const ws = createWebSocket();
+    bindWebSocket(ws, leak);
+    ws.emit('message', Buffer.from('{"id":1}'), false);
+    await flush();
+
+    const safe = { name: 'Error', message: 'Internal Server Error' };
+    expect(ack.mock.calls[0][0]).toMatchObject({ statusCode: 500 });
+    expect(ack.mock.calls[0][0].message).toEqual(safe);
+    expect(JSON.parse(ws.sent[0].data).message).toEqual(safe);
+  });
+
+  it('reports replies that fail to send', async () => {
+    const onError = jest.fn();
+    const socket = createSocketIo();
+    bindSocketIo(socket, 'ping', () => 'pong', { onError });
+    socket.receive('ping', { id: 1 }, () => {
+      throw new Error('ack failed');
+    });
+    await flush();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'ack failed' }), {
+      socket,
+      event: 'ping',
+      id: 1,
+    });
+
+    const ws = createWebSocket();
+    ws.send = () => {
+      throw new Error('socket closing');
+    };
+    bindWebSocket(ws, () => 'ok', { onError });
+    ws.emit('message', Buffer.from('{"id":2,"event":"x"}'), false);
+    await flush();
+    expect(onError).toHaveBeenLastCalledWith(
+      expect.objectContaining({ message: 'socket closing' }),
+      { socket: ws, event: 'x', id: 2 }
+    );
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    bindWebSocket(ws, () => 'ok');
+    ws.emit('message', Buffer.from('{"id":3}'), false);
+    await flush();
+    expect(warn).toHaveBeenCalledWith('Socket reply failed:', 'socket closing');
+    warn.mockRestore();
+  });
+
+  it('reports error responses that fail to build', async () => {
+    const onError = jest.fn();
+    // Error bodies violate the 5XX schema, and the default onValidationError throws
+    const options = { schemas: { '5XX': { type: 'string' } }, onError };
+    const fail = () => {
+      throw new Error('boom');
+    };
+    const socket = createSocketIo();
+    bindSocketIo(socket, 'q', fail, options);
+    socket.receive('q', { id: 1 }, jest.fn());
+    const ws = createWebSocket();
+    bindWebSocket(ws, fail, options);
+    ws.emit('message', Buffer.from('{"id":2,"event":"w"}'), false);
+    await flush();
+
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError.mock.calls[0][0].name).toBe('ResponseValidationError');
+    expect(onError.mock.calls[0][1]).toMatchObject({ event: 'q', id: 1 });
+    expect(onError.mock.calls[1][1]).toMatchObject({ event: 'w', id: 2 });
+    expect(ws.sent).toHaveLength(0);
+  });
+
+  it('validates sockets, handlers and frames', () => {
+    expect(() => bindSocketIo(null, 'x', () => {})).toThrow(TypeError);
+    expect(() => bindSocketIo(createSocketIo(), 'x')).toThrow(TypeError);
+    expect(() => bindWebSocket({}, () => {})).toThrow(TypeError);
+    expect(() => ResponseHelper.decodeSocketFrame(Buffer.from([0, 0, 0, 9, 1]))).toThrow(
+      'truncated header'
+    );
+  });
+});
+
+describe('process and worker rpc', () => {
+  const fixture = path.join(__dirname, 'fixtures', 'rpc-server.js');
+
+  const runAgainst = (label, spawn, stop) => {
+    describe(label, () => {
+      let target;
+      let client;
+
+      beforeAll(() => {
+        target = spawn();
+        client = createIpcClient(target, { streamTimeout: 2000 });
+      });
+
+      afterAll(async () => {
+        client.close();
+        await stop(target);
+      });
+
+      it('resolves with the decoded body of the matching envelope', async () => {
+        const value = { when: new Date(0), tags: new Set(['a']), map: new Map([['k', 1]]) };
+        const [first, second] = await Promise.all([
+          client.request('echo', value),
+          client.request('echo', 'second'),
+        ]);
+        expect(first.when).toEqual(new Date(0));
+        expect(first.tags).toEqual(new Set(['a']));
+        expect(first.map.get('k')).toBe(1);
+        expect(second).toBe('second');
+      });
+
+      it('round-trips Buffers', async () => {
+        const result = await client.request('reverse', Buffer.from('abc'));
+        expect(Buffer.isBuffer(result)).toBe(true);
+        expect(result.toString()).toBe('cba');
+      });
+
+      it('rehydrates remote errors', async () => {
+        const error = await client.request('fail').catch(err => err);
+        expect(error).toBeInstanceOf(IpcResponseError);
+        expect(error).toMatchObject({
+          statusCode: 429,
+          code: 'E_QUOTA',
+          message: 'Quota exceeded',
+        });
+
+        const missing = await client.request('nope').catch(err => err);
+        expect(missing.statusCode).toBe(404);
+      });
+
+      it('hides the message and properties of unmapped errors', async () => {
+        const error = await client.request('leak').catch(err => err);
+        expect(error.statusCode).toBe(500);
+        expect(error.body).toEqual({
+          name: 'Error',
+          message: 'Internal Server Error',
+          code: 'E_DB',
+        });
+      });
+
+      it('times out after streamTimeout', async () => {
+        const quick = createIpcClient(target, { streamTimeout: 50 });
+        const error = await quick.request('slow', 500).catch(err => err);
+        quick.close();
+        expect(error).toBeInstanceOf(IpcTimeoutError);
+        expect(error).toMatchObject({ method: 'slow', timeout: 50 });
+      });
+    });
+  };
+
+  runAgainst(
+    'child_process.fork',
+    () => fork(fixture, { stdio: 'ignore' }),
+    child =>
+      new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      })
+  );
+
+  runAgainst(
+    'worker_threads.Worker',
+    () => new Worker(fixture),
+    worker => worker.terminate()
+  );
+
+  it('transfers Buffers zero-copy over MessagePorts', () => {
+    const transferList = [];
+    const buffer = Buffer.alloc(16 * 1024, 1);
+    const encoded = ResponseHelper.encodeCloneSafe({ buffer }, { transferList });
+    expect(transferList).toEqual([buffer.buffer]);
+    expect(encoded.buffer.value.buffer).toBe(buffer.buffer);
+  });
+
+  it('rejects outstanding requests when the client closes', async () => {
+    const { EventEmitter } = require('events');
+    const target = new EventEmitter();
+    target.postMessage = () => {};
+    const client = createIpcClient(target);
+    const pending = client.request('never');
+    client.close();
+    await expect(pending).rejects.toThrow('IPC client closed');
+    expect(() => serveIpc({}, {})).toThrow(TypeError);
+  });
+
+  it('reports replies that cannot be encoded', async () => {
+    const { EventEmitter } = require('events');
+    const target = new EventEmitter();
+    target.postMessage = jest.fn();
+    const onError = jest.fn();
+    const circular = {};
+    circular.self = circular;
+    // Returned envelopes are passed through as-is, so the circular body reaches the encoder
+    serveIpc(
+      target,
+      { loop: () => ({ statusCode: 200, body: circular, timestamp: 0 }) },
+      { onError }
+    );
+
+    target.emit('message', { __rapidResponderRpc: 'request', id: 5, method: 'loop', args: [] });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onError).toHaveBeenCalledWith(expect.any(TypeError), { method: 'loop', id: 5 });
+    expect(target.postMessage).not.toHaveBeenCalled();
   });
 });